@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import { dataPath, readJson } from './storage.js';
+
+/**
+ * API keys, allowed origins and per-client limits for the HTTP transport
+ * Keys come from WB_API_KEYS ("key" or "name:key", comma-separated) and from a JSON file:
+ * { "keys": [{ "name": "...", "key": "...", "rateLimit": 60, "maxConcurrent": 4 }] }
+ * Without any keys the endpoint stays open and limits apply per client IP
+ */
+class AccessControl {
+  /**
+   * @param {Object} options - Access options
+   * @param {string} options.keys - Comma-separated keys
+   * @param {string} options.keysFile - JSON file with keys (relative to the data directory)
+   * @param {string} options.origins - Comma-separated allowed origins, '*' allows any
+   * @param {number} options.rateLimit - Default JSON-RPC requests per minute per client
+   * @param {number} options.maxConcurrent - Default HTTP requests in progress per client
+   */
+  constructor(options = {}) {
+    this.rateLimit = options.rateLimit || parseInt(process.env.WB_RATE_LIMIT) || 60;
+    this.maxConcurrent = options.maxConcurrent || parseInt(process.env.WB_MAX_CONCURRENT) || 4;
+
+    const origins = (options.origins ?? process.env.WB_ALLOWED_ORIGINS ?? '*').split(',').map(o => o.trim()).filter(Boolean);
+    this.origins = origins.includes('*') ? null : new Set(origins);
+
+    this.keys = new Map(); // sha256(key) -> client
+    for (const entry of (options.keys ?? process.env.WB_API_KEYS ?? '').split(',').map(k => k.trim()).filter(Boolean)) {
+      const separator = entry.indexOf(':');
+      this.addKey(separator > 0
+        ? { name: entry.slice(0, separator), key: entry.slice(separator + 1) }
+        : { key: entry });
+    }
+
+    const keysFile = options.keysFile ?? process.env.WB_API_KEYS_FILE;
+    if (keysFile) {
+      const file = dataPath(keysFile);
+      const count = this.keys.size;
+      for (const entry of readJson(file, null)?.keys || []) {
+        this.addKey(entry);
+      }
+
+      // A missing or broken key file must not leave the endpoint open
+      if (this.keys.size === count) {
+        throw new Error(`API key file ${file} is missing, unreadable or has no keys`);
+      }
+    }
+
+    this.buckets = new Map(); // client id -> { tokens, updated }
+    this.inFlight = new Map(); // client id -> number of requests in progress
+  }
+
+  /**
+   * Register an API key
+   * @param {Object} entry - { key, name, rateLimit, maxConcurrent }
+   */
+  addKey({ key, name = null, rateLimit = null, maxConcurrent = null }) {
+    if (!key) return;
+    const hash = AccessControl.hash(key);
+    this.keys.set(hash, {
+      id: `key:${hash.slice(0, 12)}`,
+      name: name || `key-${this.keys.size + 1}`,
+      rateLimit: rateLimit || this.rateLimit,
+      maxConcurrent: maxConcurrent || this.maxConcurrent
+    });
+  }
+
+  /**
+   * Keys are kept and compared as hashes only
+   * @param {string} key - API key
+   */
+  static hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Whether requests must carry an API key
+   */
+  get enabled() {
+    return this.keys.size > 0;
+  }
+
+  /**
+   * Whether a browser origin may call the server
+   * Requests without an Origin header (non-browser clients) are allowed
+   * @param {string} origin - Origin header
+   */
+  allowsOrigin(origin) {
+    return !origin || !this.origins || this.origins.has(origin);
+  }
+
+  /**
+   * Identify the client of a request
+   * The key is taken from "Authorization: Bearer <key>" or "X-API-Key"
+   * @param {import('express').Request} req - HTTP request
+   * @returns {Object|null} Client, or null when keys are required and none matches
+   */
+  authenticate(req) {
+    if (!this.enabled) {
+      return { id: `ip:${req.ip}`, name: req.ip, rateLimit: this.rateLimit, maxConcurrent: this.maxConcurrent };
+    }
+
+    const header = req.headers['authorization'] || '';
+    const key = header.match(/^Bearer\s+(.+)$/i)?.[1].trim() || req.headers['x-api-key'];
+    return key ? this.keys.get(AccessControl.hash(key)) || null : null;
+  }
+
+  /**
+   * Take rate limit tokens for a number of JSON-RPC requests
+   * Tokens refill continuously up to rateLimit per minute
+   * @param {Object} client - Client from authenticate()
+   * @param {number} count - Number of requests
+   * @returns {number} 0 when allowed, otherwise seconds until enough tokens are available
+   */
+  consume(client, count = 1) {
+    const now = Date.now();
+    const bucket = this.buckets.get(client.id) || { tokens: client.rateLimit, updated: now };
+
+    bucket.tokens = Math.min(client.rateLimit, bucket.tokens + ((now - bucket.updated) / 60000) * client.rateLimit);
+    bucket.updated = now;
+    this.buckets.set(client.id, bucket);
+
+    // Buckets of idle clients are full again and carry no information
+    if (this.buckets.size > 1000) this.prune(now);
+
+    if (bucket.tokens < count) {
+      return Math.max(1, Math.ceil(((count - bucket.tokens) / client.rateLimit) * 60));
+    }
+    bucket.tokens -= count;
+    return 0;
+  }
+
+  /**
+   * Drop buckets that have refilled completely
+   */
+  prune(now) {
+    for (const [id, bucket] of this.buckets) {
+      if (now - bucket.updated >= 60000) this.buckets.delete(id);
+    }
+  }
+
+  /**
+   * Start an HTTP request of a client
+   * @returns {boolean} false when the client already has maxConcurrent requests in progress
+   */
+  acquire(client) {
+    const current = this.inFlight.get(client.id) || 0;
+    if (current >= client.maxConcurrent) return false;
+    this.inFlight.set(client.id, current + 1);
+    return true;
+  }
+
+  /**
+   * Finish an HTTP request of a client
+   */
+  release(client) {
+    const current = (this.inFlight.get(client.id) || 1) - 1;
+    if (current > 0) {
+      this.inFlight.set(client.id, current);
+    } else {
+      this.inFlight.delete(client.id);
+    }
+  }
+
+  /**
+   * Access statistics for health reporting
+   */
+  stats() {
+    return {
+      authentication: this.enabled,
+      keys: this.keys.size,
+      allowedOrigins: this.origins ? [...this.origins] : '*',
+      rateLimit: this.rateLimit,
+      maxConcurrent: this.maxConcurrent,
+      requestsInProgress: [...this.inFlight.values()].reduce((sum, n) => sum + n, 0)
+    };
+  }
+}
+
+export default AccessControl;
@@ -0,0 +1,160 @@
+import { dataPath, readJson, writeJson } from './storage.js';
+
+/**
+ * Resolver of basket CDN hosts (basket-NN.wbbasket.ru)
+ * Product files live on the host that serves the product's `vol` (nm_id / 100000)
+ */
+
+// Known vol ranges: [last vol, basket number]
+const BASKET_RANGES = [
+  [143, 1], [287, 2], [431, 3], [719, 4], [1007, 5], [1061, 6],
+  [1115, 7], [1169, 8], [1313, 9], [1601, 10], [1655, 11], [1919, 12],
+  [2045, 13], [2189, 14], [2405, 15], [2621, 16], [2837, 17], [3053, 18],
+  [3269, 19], [3485, 20], [3701, 21], [3917, 22], [4133, 23], [4349, 24],
+  [4565, 25], [4877, 26], [5189, 27], [5501, 28], [5813, 29], [6125, 30],
+  [6437, 31], [6749, 32], [7061, 33], [7373, 34], [7685, 35], [7997, 36]
+];
+
+// How far from the predicted host to look when the table misses
+const PROBE_DISTANCE = 3;
+
+class BasketResolver {
+  /**
+   * @param {Object} options - Resolver options
+   * @param {string} options.file - File with learned ranges
+   */
+  constructor(options = {}) {
+    this.file = options.file || dataPath('basket-ranges.json');
+
+    // Ranges learned at runtime: { from, to, host }, checked before the static table
+    this.learned = readJson(this.file, { ranges: [] }).ranges || [];
+  }
+
+  /**
+   * Product volume and part numbers
+   * @param {string|number} nmId - Product ID
+   */
+  static locate(nmId) {
+    const id = Number(nmId);
+    return {
+      vol: Math.floor(id / 100000),
+      part: Math.floor(id / 1000)
+    };
+  }
+
+  /**
+   * Host name for a basket number
+   */
+  static host(basket) {
+    return `basket-${basket.toString().padStart(2, '0')}.wbbasket.ru`;
+  }
+
+  /**
+   * Highest basket number known so far
+   */
+  maxBasket() {
+    return Math.max(BASKET_RANGES[BASKET_RANGES.length - 1][1], ...this.learned.map(r => r.host));
+  }
+
+  /**
+   * Predict the basket number for a vol
+   * @param {number} vol - Product volume
+   */
+  lookup(vol) {
+    const learned = this.learned.find(r => vol >= r.from && vol <= r.to);
+    if (learned) return learned.host;
+
+    const known = BASKET_RANGES.find(([last]) => vol <= last);
+    if (known) return known[1];
+
+    // Past the table: the closest learned range below is the best guess
+    const below = this.learned.filter(r => r.to < vol).sort((a, b) => b.to - a.to)[0];
+    return below ? below.host : this.maxBasket();
+  }
+
+  /**
+   * Whether a vol falls inside a known (static or learned) range
+   */
+  covers(vol) {
+    return vol <= BASKET_RANGES[BASKET_RANGES.length - 1][0] || this.learned.some(r => vol >= r.from && vol <= r.to);
+  }
+
+  /**
+   * Base URL of a product's files on the basket CDN
+   * @param {string|number} nmId - Product ID
+   * @param {number} basket - Basket number (predicted when omitted)
+   */
+  baseUrl(nmId, basket) {
+    const { vol, part } = BasketResolver.locate(nmId);
+    return `https://${BasketResolver.host(basket ?? this.lookup(vol))}/vol${vol}/part${part}/${nmId}`;
+  }
+
+  /**
+   * Basket numbers to try, predicted one first, then neighbours outward
+   */
+  candidates(predicted) {
+    const max = this.maxBasket() + PROBE_DISTANCE;
+    const list = [predicted];
+    for (let d = 1; d <= PROBE_DISTANCE; d++) {
+      if (predicted + d <= max) list.push(predicted + d);
+      if (predicted - d >= 1) list.push(predicted - d);
+    }
+    return list;
+  }
+
+  /**
+   * Fetch a product file from the basket CDN
+   * When the predicted host misses, nearby hosts are probed and the hit is remembered
+   * @param {string|number} nmId - Product ID
+   * @param {string} filePath - Path relative to the product folder (e.g. "info/ru/card.json")
+   * @param {Function} request - Async function fetching a URL and returning parsed data
+   */
+  async fetch(nmId, filePath, request) {
+    const { vol } = BasketResolver.locate(nmId);
+    const predicted = this.lookup(vol);
+
+    for (const basket of this.candidates(predicted)) {
+      try {
+        const data = await request(`${this.baseUrl(nmId, basket)}/${filePath}`);
+        if (data) {
+          if (basket !== predicted || !this.covers(vol)) this.learn(vol, basket);
+          return data;
+        }
+      } catch (e) {
+        // Only a missing file means the product lives on another basket,
+        // anything else (rate limiting, outage) would fail on every host
+        if (e.status !== 404 && e.status !== 403) throw e;
+      }
+    }
+
+    throw new Error(`Product ${nmId} not found on basket CDN (vol ${vol})`);
+  }
+
+  /**
+   * Remember that a vol is served by a basket and persist the ranges
+   * @param {number} vol - Product volume
+   * @param {number} basket - Basket number
+   */
+  learn(vol, basket) {
+    // Extend a range of the same basket if no other learned range lies in between
+    const range = this.learned.find(r => r.host === basket && !this.learned.some(o =>
+      o !== r && o.host !== basket && o.from <= Math.max(r.to, vol) && o.to >= Math.min(r.from, vol)
+    ));
+
+    if (range) {
+      range.from = Math.min(range.from, vol);
+      range.to = Math.max(range.to, vol);
+    } else {
+      this.learned = this.learned.filter(r => !(vol >= r.from && vol <= r.to));
+      this.learned.push({ from: vol, to: vol, host: basket });
+    }
+
+    console.log(`[Basket] vol ${vol} is served by ${BasketResolver.host(basket)}`);
+
+    writeJson(this.file, { ranges: this.learned }).catch((e) => {
+      console.error(`[Basket] Failed to save ranges: ${e.message}`);
+    });
+  }
+}
+
+export default BasketResolver;
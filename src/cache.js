@@ -0,0 +1,128 @@
+import { readJson, writeJson } from './storage.js';
+
+/**
+ * In-memory LRU cache with per-entry TTL and optional persistence to a JSON file
+ */
+class ResponseCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEntries - Max entries kept before evicting the least recently used
+   * @param {string} options.file - JSON file to persist entries to (disabled when empty)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.file = options.file || null;
+    this.entries = new Map(); // key -> { value, expires }
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.saveTimer = null;
+
+    if (this.file) this.load();
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @returns {*} Cached value or undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expires <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.misses++;
+      return undefined;
+    }
+
+    // Move to the end to keep LRU order
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {number} ttl - Time to live in milliseconds
+   */
+  set(key, value, ttl) {
+    if (!(ttl > 0)) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, expires: Date.now() + ttl });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+
+    this.scheduleSave();
+  }
+
+  /**
+   * Drop all entries
+   */
+  clear() {
+    this.entries.clear();
+    this.scheduleSave();
+  }
+
+  /**
+   * Cache statistics
+   */
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups ? Math.round((this.hits / lookups) * 1000) / 1000 : 0,
+      evictions: this.evictions,
+      persistent: Boolean(this.file)
+    };
+  }
+
+  /**
+   * Load non-expired entries from disk
+   */
+  load() {
+    const now = Date.now();
+    const saved = readJson(this.file, { entries: [] });
+    for (const [key, entry] of saved.entries || []) {
+      if (entry.expires > now) this.entries.set(key, entry);
+    }
+    console.log(`[Cache] Loaded ${this.entries.size} entries from ${this.file}`);
+  }
+
+  /**
+   * Write entries to disk a few seconds after the last change
+   */
+  scheduleSave() {
+    if (!this.file || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush().catch(e => console.error(`[Cache] Failed to save: ${e.message}`));
+    }, 5000);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write entries to disk now
+   */
+  async flush() {
+    if (!this.file) return;
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    const now = Date.now();
+    const entries = [...this.entries].filter(([, entry]) => entry.expires > now);
+    await writeJson(this.file, { entries });
+  }
+}
+
+export default ResponseCache;
@@ -0,0 +1,88 @@
+/**
+ * Circuit breaker for requests to Wildberries
+ * After `threshold` consecutive failures the circuit opens and requests fail fast for `cooldown` ms.
+ * Then requests are let through again (half-open): a success closes the circuit, a failure reopens it
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {number} options.threshold - Consecutive failures that open the circuit
+   * @param {number} options.cooldown - Milliseconds the circuit stays open
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold || 10;
+    this.cooldown = options.cooldown || 30000;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedUntil = 0;
+    this.lastFailure = null;
+    this.trips = 0;
+  }
+
+  /**
+   * Whether requests currently fail fast
+   */
+  get isOpen() {
+    return this.state === 'open' && Date.now() < this.openedUntil;
+  }
+
+  /**
+   * Throw when the circuit is open, switch to half-open once the cooldown has passed
+   */
+  check() {
+    if (this.state !== 'open') return;
+
+    const wait = this.openedUntil - Date.now();
+    if (wait > 0) {
+      const error = new Error(
+        `Wildberries is rate limiting or blocking requests (${this.lastFailure}), retry in ${Math.ceil(wait / 1000)}s`
+      );
+      error.retryAfter = Math.ceil(wait / 1000);
+      throw error;
+    }
+
+    this.state = 'half-open';
+    console.log('[Circuit Breaker] Cooldown over, letting requests through');
+  }
+
+  /**
+   * Record a request Wildberries answered normally
+   */
+  success() {
+    this.failures = 0;
+    if (this.state !== 'closed') {
+      this.state = 'closed';
+      console.log('[Circuit Breaker] Closed');
+    }
+  }
+
+  /**
+   * Record a failed request
+   * @param {string} reason - Failure description, e.g. "HTTP 429"
+   */
+  failure(reason) {
+    this.failures++;
+    this.lastFailure = reason;
+
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.threshold)) {
+      this.state = 'open';
+      this.openedUntil = Date.now() + this.cooldown;
+      this.trips++;
+      console.error(`[Circuit Breaker] Open for ${this.cooldown / 1000}s after ${this.failures} failures (${reason})`);
+    }
+  }
+
+  /**
+   * Breaker statistics for health reporting
+   */
+  stats() {
+    return {
+      state: this.isOpen ? 'open' : this.state === 'open' ? 'half-open' : this.state,
+      failures: this.failures,
+      lastFailure: this.lastFailure,
+      trips: this.trips
+    };
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,175 @@
+/**
+ * Product comparison
+ * Aligns characteristics of several products by name and normalizes units
+ * so that "16 ГБ" and "16 GB" or "25 см" and "250 mm" compare as equal
+ */
+
+// Unit spellings -> base unit and factor to convert into it
+const UNITS = {
+  'кб': ['GB', 1 / (1024 * 1024)], 'kb': ['GB', 1 / (1024 * 1024)],
+  'мб': ['GB', 1 / 1024], 'mb': ['GB', 1 / 1024],
+  'гб': ['GB', 1], 'gb': ['GB', 1],
+  'тб': ['GB', 1024], 'tb': ['GB', 1024],
+  'мм': ['mm', 1], 'mm': ['mm', 1],
+  'см': ['mm', 10], 'cm': ['mm', 10],
+  'м': ['mm', 1000], 'm': ['mm', 1000],
+  'дюйм': ['in', 1], 'дюйма': ['in', 1], 'дюймов': ['in', 1], 'inch': ['in', 1], '"': ['in', 1], '″': ['in', 1],
+  'вт': ['W', 1], 'w': ['W', 1],
+  'квт': ['W', 1000], 'kw': ['W', 1000],
+  'г': ['g', 1], 'гр': ['g', 1], 'g': ['g', 1],
+  'кг': ['g', 1000], 'kg': ['g', 1000],
+  'мл': ['ml', 1], 'ml': ['ml', 1],
+  'л': ['ml', 1000], 'l': ['ml', 1000],
+  'мгц': ['MHz', 1], 'mhz': ['MHz', 1],
+  'ггц': ['MHz', 1000], 'ghz': ['MHz', 1000],
+  'гц': ['Hz', 1], 'hz': ['Hz', 1],
+  'мач': ['mAh', 1], 'mah': ['mAh', 1],
+  'в': ['V', 1], 'v': ['V', 1],
+  'а': ['A', 1], 'a': ['A', 1],
+  'мп': ['MP', 1], 'mp': ['MP', 1],
+  'ч': ['h', 1], 'час': ['h', 1], 'часа': ['h', 1], 'часов': ['h', 1],
+  'мин': ['min', 1]
+};
+
+/**
+ * Look up a unit spelling
+ * @returns {[string, number]|null} Base unit and conversion factor
+ */
+function findUnit(text) {
+  if (!text) return null;
+  const key = text.trim().toLowerCase().replace(/\.$/, '');
+  return UNITS[key] || null;
+}
+
+/**
+ * Unit given in a characteristic name, e.g. "Вес товара (г)" or "Емкость аккумулятора, мАч"
+ */
+function unitFromName(name) {
+  const match = name.match(/\(([^)]+)\)\s*$/) || name.match(/,\s*([^\s,]+)\s*$/);
+  return match ? findUnit(match[1]) : null;
+}
+
+/**
+ * Normalize a characteristic value
+ * @param {string} name - Characteristic name
+ * @param {string} value - Raw value
+ * @returns {{value: number, unit: string}|null} Value in the base unit, or null if not numeric
+ */
+export function normalizeValue(name, value) {
+  if (value === null || value === undefined) return null;
+
+  const match = String(value).trim().match(/^(-?\d+(?:[.,]\d+)?)\s*([^\d\s;,/]*)$/);
+  if (!match) return null;
+
+  const number = parseFloat(match[1].replace(',', '.'));
+  const unit = match[2] ? findUnit(match[2]) : unitFromName(name);
+
+  if (match[2] && !unit) {
+    // Unknown unit: keep it as is
+    return { value: number, unit: match[2] };
+  }
+  if (!unit) return { value: number, unit: null };
+
+  return {
+    value: Math.round(number * unit[1] * 1000) / 1000,
+    unit: unit[0]
+  };
+}
+
+/**
+ * Key used to align characteristic names across products
+ * A unit at the end of the name is dropped, values carry it after normalization
+ */
+function nameKey(name) {
+  let key = name.toLowerCase().replace(/\([^)]*\)\s*$/, '');
+  const unit = key.match(/,\s*([^\s,]+)\s*$/);
+  if (unit && findUnit(unit[1])) key = key.slice(0, unit.index);
+
+  return key
+    .replace(/ё/g, 'е')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Check whether values differ, using normalized numbers when every value has one
+ */
+function valuesDiffer(values, normalized) {
+  if (values.some(v => v === null)) return values.some(v => v !== null);
+
+  if (normalized.every(n => n !== null) && new Set(normalized.map(n => n.unit)).size === 1) {
+    return new Set(normalized.map(n => n.value)).size > 1;
+  }
+
+  return new Set(values.map(v => String(v).trim().toLowerCase().replace(/\s+/g, ' '))).size > 1;
+}
+
+/**
+ * Build a comparison table for products returned by WBClient.getProductDetails()
+ * @param {Array<Object>} products - Product details
+ * @param {Object} options - Comparison options
+ * @param {boolean} options.onlyDifferences - Leave out rows where all products are equal
+ */
+export function compareProducts(products, options = {}) {
+  const ids = products.map(p => String(p.id));
+
+  // Main fields first, then characteristics in the order they are first seen
+  const rows = [
+    ['Цена', p => p.priceFinal],
+    ['Цена без скидки', p => p.priceBasic],
+    ['Скидка, %', p => p.discount],
+    ['Рейтинг', p => p.rating],
+    ['Отзывы', p => p.feedbacks],
+    ['Бренд', p => p.brand],
+    ['Продавец', p => p.supplier],
+    ['Рейтинг продавца', p => p.supplierRating],
+    ['В наличии', p => p.inStock],
+    ['Доставка', p => p.deliveryTime]
+  ].map(([name, get]) => ({ name, key: nameKey(name), values: products.map(p => get(p) ?? null), general: true }));
+
+  const byKey = new Map();
+  for (const [index, product] of products.entries()) {
+    for (const c of product.characteristics || []) {
+      const key = nameKey(c.name);
+      if (!byKey.has(key)) {
+        const row = { name: c.name, key, values: products.map(() => null), names: products.map(() => null), general: false };
+        byKey.set(key, row);
+        rows.push(row);
+      }
+      byKey.get(key).values[index] = c.value;
+      // The unit may differ between products ("Вес товара (г)" and "Вес товара (кг)")
+      byKey.get(key).names[index] = c.name;
+    }
+  }
+
+  const table = [];
+  for (const row of rows) {
+    const normalized = row.general ? row.values.map(v => (typeof v === 'number' ? { value: v, unit: null } : null))
+      : row.values.map((v, i) => normalizeValue(row.names[i] || row.name, v));
+    const differs = valuesDiffer(row.values, normalized);
+
+    if (row.values.every(v => v === null) || (options.onlyDifferences && !differs)) continue;
+
+    table.push({
+      name: row.name,
+      differs,
+      values: Object.fromEntries(ids.map((id, i) => [id, row.values[i]])),
+      ...(!row.general && normalized.some(n => n?.unit)
+        ? { normalized: Object.fromEntries(ids.map((id, i) => [id, normalized[i]])) }
+        : {})
+    });
+  }
+
+  return {
+    products: products.map(p => ({
+      id: p.id,
+      name: p.name,
+      brand: p.brand,
+      priceFinal: p.priceFinal,
+      rating: p.rating,
+      url: p.url
+    })),
+    differences: table.filter(r => r.differs).map(r => r.name),
+    table
+  };
+}
@@ -1,5 +1,20 @@
 import express from 'express';
+import crypto from 'crypto';
+import { LATEST_PROTOCOL_VERSION, SUPPORTED_PROTOCOL_VERSIONS } from '@modelcontextprotocol/sdk/types.js';
 import WBClient from './wb-client.js';
+import { listTools, callTool } from './tools.js';
+import {
+  listResources,
+  listResourceTemplates,
+  readResource,
+  subscribeResource,
+  unsubscribeResource,
+} from './resources.js';
+import { listPrompts, getPrompt } from './prompts.js';
+import { createSessionState } from './session-state.js';
+import Watchlist from './watchlist.js';
+import Subscriptions from './subscriptions.js';
+import AccessControl from './access-control.js';
 
 /**
  * HTTP Server for Wildberries MCP
@@ -9,18 +24,177 @@ import WBClient from './wb-client.js';
 const app = express();
 app.use(express.json());
 
+// Behind a reverse proxy client IPs (and so per-IP limits) come from X-Forwarded-For
+// WB_TRUST_PROXY: number of proxy hops, "true", or trusted addresses/subnets
+const trustProxy = process.env.WB_TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Initialize WB Client
 const wbClient = new WBClient();
 
-// Session storage
+// Price watchlist, alerts are pushed to the owning session's SSE streams
+// Only watches of live sessions are polled, the rest belong to stdio servers
+const watchlist = new Watchlist(wbClient, {
+  interval: (parseInt(process.env.WB_WATCH_INTERVAL) || 900) * 1000,
+  owns: owner => sessions.has(owner),
+});
+
+// Sessions do not survive a restart, so watches of a previous run could never alert
+watchlist.removeOwners(owner => owner !== 'stdio');
+
+// Product resource subscriptions, updates are pushed like watch alerts
+const subscriptions = new Subscriptions(wbClient, {
+  interval: (parseInt(process.env.WB_SUBSCRIPTION_INTERVAL) || 300) * 1000,
+});
+
+// API keys, allowed origins and per-client limits
+const access = new AccessControl();
+
+// Session storage: Mcp-Session-Id -> { id, owner, created, lastActivity, protocolVersion, state, streams }
+// The browser is shared, destination/currency/preferences are per session
 const sessions = new Map();
 
+// Sessions without requests and open streams for this long are closed
+const SESSION_IDLE_TIMEOUT = (parseInt(process.env.WB_SESSION_IDLE_TIMEOUT) || 1800) * 1000;
+const MAX_SESSIONS = parseInt(process.env.WB_MAX_SESSIONS) || 100;
+
+// Create a session record
+function createSession(id, owner, protocolVersion) {
+  return {
+    id,
+    owner,
+    created: Date.now(),
+    lastActivity: Date.now(),
+    protocolVersion,
+    state: createSessionState(),
+    streams: new Set(),
+  };
+}
+
+// Close a session: end its streams and drop its state, subscriptions and watches
+function closeSession(sessionId, reason) {
+  const session = sessions.get(sessionId);
+  if (!session) return false;
+
+  for (const stream of session.streams) {
+    stream.end();
+  }
+  sessions.delete(sessionId);
+  subscriptions.removeOwner(sessionId);
+  watchlist.removeOwner(sessionId);
+  console.log(`[HTTP] Session ${sessionId} ${reason}`);
+  return true;
+}
+
+// Close sessions idle for longer than SESSION_IDLE_TIMEOUT
+function expireSessions() {
+  const now = Date.now();
+  for (const session of sessions.values()) {
+    if (session.streams.size === 0 && now - session.lastActivity > SESSION_IDLE_TIMEOUT) {
+      closeSession(session.id, 'expired');
+    }
+  }
+}
+
+setInterval(expireSessions, 60 * 1000).unref();
+
+// Sessions belong to an API key; without authentication anyone holding the ID may use them
+function sessionOwner(req) {
+  return access.enabled ? req.client.id : null;
+}
+
+// Protocol version for an initialize request: the client's if supported, otherwise the latest
+function negotiateProtocolVersion(requested) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : LATEST_PROTOCOL_VERSION;
+}
+
+// JSON-RPC error body for transport-level failures
+function transportError(code, message) {
+  return { jsonrpc: '2.0', id: null, error: { code, message } };
+}
+
+// Resolve the session of a request from its Mcp-Session-Id header
+// Sends an error response and returns null when the session is missing or unknown
+function requireSessionHeader(req, res) {
+  const sessionId = req.headers['mcp-session-id'];
+  if (!sessionId) {
+    res.status(400).json(transportError(-32000, 'Bad Request: Mcp-Session-Id header is required'));
+    return null;
+  }
+
+  // A session is only visible to the API key that created it
+  const session = sessions.get(sessionId);
+  if (!session || session.owner !== sessionOwner(req)) {
+    // 404 tells the client to start a new session with initialize
+    res.status(404).json(transportError(-32001, 'Session not found'));
+    return null;
+  }
+
+  const version = req.headers['mcp-protocol-version'];
+  if (version && !SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+    res.status(400).json(transportError(-32000, `Bad Request: Unsupported protocol version ${version}`));
+    return null;
+  }
+
+  session.lastActivity = Date.now();
+  return session;
+}
+
+// Send a JSON-RPC message to every SSE stream of a session
+function sendToSession(sessionId, message) {
+  const session = sessions.get(sessionId);
+  if (!session || session.streams.size === 0) return false;
+
+  for (const stream of session.streams) {
+    stream.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+  }
+  return true;
+}
+
+watchlist.on('alert', (alert) => {
+  const delivered = sendToSession(alert.owner, {
+    jsonrpc: '2.0',
+    method: 'notifications/message',
+    params: {
+      level: 'notice',
+      logger: 'wb-watchlist',
+      data: alert,
+    },
+  });
+
+  if (!delivered) {
+    console.log(`[HTTP] Watch alert for session ${alert.owner} not delivered: no open SSE stream`);
+  }
+});
+
+subscriptions.on('updated', ({ owner, uri }) => {
+  sendToSession(owner, {
+    jsonrpc: '2.0',
+    method: 'notifications/resources/updated',
+    params: { uri },
+  });
+});
+
 // CORS headers for cross-origin requests
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
+  const origin = req.headers['origin'];
+
+  // Browsers on other sites must not reach the server unless their origin is allowed
+  if (!access.allowsOrigin(origin)) {
+    return res.status(403).json(transportError(-32000, `Forbidden: origin ${origin} is not allowed`));
+  }
+
+  if (access.origins) {
+    if (origin) res.header('Access-Control-Allow-Origin', origin);
+    res.header('Vary', 'Origin');
+  } else {
+    res.header('Access-Control-Allow-Origin', '*');
+  }
   res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Accept, Mcp-Session-Id');
-  res.header('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, X-API-Key, Mcp-Session-Id, Mcp-Protocol-Version');
+  res.header('Access-Control-Expose-Headers', 'Mcp-Session-Id, Retry-After');
 
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -28,79 +202,79 @@ app.use((req, res, next) => {
   next();
 });
 
+// Authentication and per-client limits for the MCP endpoint
+app.use('/mcp', (req, res, next) => {
+  const client = access.authenticate(req);
+  if (!client) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json(transportError(-32000, 'Unauthorized: send a valid API key as "Authorization: Bearer <key>" or "X-API-Key"'));
+  }
+  req.client = client;
+
+  // Every JSON-RPC message of a batch counts against the rate limit
+  const count = req.method === 'POST' && Array.isArray(req.body) ? Math.max(req.body.length, 1) : 1;
+  if (count > client.rateLimit) {
+    // Could never fit into the bucket, waiting would not help
+    return res.status(413).json(transportError(-32600, `Batch too large: at most ${client.rateLimit} messages per request`));
+  }
+
+  const retryAfter = access.consume(client, count);
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json(transportError(-32000, `Rate limit exceeded: ${client.rateLimit} requests per minute, retry in ${retryAfter}s`));
+  }
+
+  // SSE streams stay open, only requests that do work count as concurrent
+  if (req.method === 'POST') {
+    if (!access.acquire(client)) {
+      return res.status(429).json(transportError(-32000, `Too many concurrent requests: at most ${client.maxConcurrent} at a time`));
+    }
+    res.on('close', () => access.release(client));
+  }
+
+  next();
+});
+
 // Generate session ID
 function generateSessionId() {
-  return 'mcp-' + Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+  return crypto.randomUUID();
 }
 
-// Tool definitions
-const TOOLS = [
-  {
-    name: 'wb_search',
-    description: 'Search for products on Wildberries marketplace',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        query: { type: 'string', description: 'Search query' },
-        sort: { type: 'string', enum: ['popular', 'rate', 'priceup', 'pricedown', 'newly'] },
-        page: { type: 'number' },
-        priceMin: { type: 'number' },
-        priceMax: { type: 'number' },
-        limit: { type: 'number' },
-      },
-      required: ['query'],
-    },
-  },
-  {
-    name: 'wb_product_details',
-    description: 'Get detailed product information by ID',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        productId: { type: 'string', description: 'Product ID' },
-      },
-      required: ['productId'],
-    },
-  },
-  {
-    name: 'wb_products_list',
-    description: 'Get multiple products by IDs',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        productIds: { type: 'array', items: { type: 'string' } },
-      },
-      required: ['productIds'],
-    },
-  },
-  {
-    name: 'wb_set_destination',
-    description: 'Set delivery destination city',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        address: { type: 'string', description: 'City or address' },
-      },
-      required: ['address'],
-    },
-  },
-  {
-    name: 'wb_get_filters',
-    description: 'Get available filters for search',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        query: { type: 'string' },
-      },
-      required: ['query'],
-    },
-  },
-];
-
 // Handle JSON-RPC request
-async function handleJsonRpcRequest(request) {
+// Returns null for notifications and client responses, which get no reply
+async function handleJsonRpcRequest(request, session) {
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    return transportError(-32600, 'Invalid Request: expected a JSON-RPC message object');
+  }
+
   const { method, params, id } = request;
 
+  // Responses to server requests carry no method
+  if (method === undefined && id !== undefined && ('result' in request || 'error' in request)) {
+    return null;
+  }
+
+  if (request.jsonrpc !== '2.0' || typeof method !== 'string') {
+    return {
+      jsonrpc: '2.0',
+      id: id ?? null,
+      error: { code: -32600, message: 'Invalid Request: expected jsonrpc "2.0" and a method' },
+    };
+  }
+
+  // Messages without an id are notifications: nothing to answer
+  if (id === undefined) {
+    return null;
+  }
+
+  const context = {
+    client: wbClient,
+    state: session.state,
+    sessionId: session.id,
+    watchlist,
+    subscriptions,
+  };
+
   try {
     switch (method) {
       case 'initialize':
@@ -108,9 +282,11 @@ async function handleJsonRpcRequest(request) {
           jsonrpc: '2.0',
           id,
           result: {
-            protocolVersion: '2025-03-26',
+            protocolVersion: session.protocolVersion,
             capabilities: {
               tools: {},
+              resources: { subscribe: true },
+              prompts: {},
             },
             serverInfo: {
               name: 'wb-mcp-server',
@@ -123,55 +299,65 @@ async function handleJsonRpcRequest(request) {
         return {
           jsonrpc: '2.0',
           id,
-          result: { tools: TOOLS },
+          result: { tools: listTools() },
         };
 
       case 'tools/call':
-        const { name, arguments: args } = params;
-        let result;
-
-        switch (name) {
-          case 'wb_search':
-            result = await wbClient.search(args.query, {
-              sort: args.sort || 'popular',
-              page: args.page || 1,
-              priceMin: args.priceMin,
-              priceMax: args.priceMax,
-              limit: Math.min(args.limit || 20, 100),
-            });
-            break;
-
-          case 'wb_product_details':
-            result = await wbClient.getProductDetails(args.productId);
-            break;
-
-          case 'wb_products_list':
-            result = await wbClient.getProductsList(args.productIds);
-            break;
-
-          case 'wb_set_destination':
-            result = await wbClient.setDestination(args.address);
-            break;
-
-          case 'wb_get_filters':
-            result = await wbClient.getFilters(args.query);
-            break;
-
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
+        return {
+          jsonrpc: '2.0',
+          id,
+          result: await callTool(params?.name, params?.arguments, context),
+        };
 
+      case 'resources/list':
         return {
           jsonrpc: '2.0',
           id,
-          result: {
-            content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
-          },
+          result: { resources: listResources(context) },
+        };
+
+      case 'resources/templates/list':
+        return {
+          jsonrpc: '2.0',
+          id,
+          result: { resourceTemplates: listResourceTemplates() },
+        };
+
+      case 'resources/read':
+        return {
+          jsonrpc: '2.0',
+          id,
+          result: await readResource(params?.uri, context),
         };
 
-      case 'notifications/initialized':
-        // Client notification, no response needed
-        return null;
+      case 'resources/subscribe':
+        // Updates are delivered over the session's SSE stream
+        return {
+          jsonrpc: '2.0',
+          id,
+          result: subscribeResource(params?.uri, context),
+        };
+
+      case 'resources/unsubscribe':
+        return {
+          jsonrpc: '2.0',
+          id,
+          result: unsubscribeResource(params?.uri, context),
+        };
+
+      case 'prompts/list':
+        return {
+          jsonrpc: '2.0',
+          id,
+          result: { prompts: listPrompts() },
+        };
+
+      case 'prompts/get':
+        return {
+          jsonrpc: '2.0',
+          id,
+          result: getPrompt(params?.name, params?.arguments),
+        };
 
       default:
         return {
@@ -188,7 +374,7 @@ async function handleJsonRpcRequest(request) {
       jsonrpc: '2.0',
       id,
       error: {
-        code: -32603,
+        code: Number.isInteger(error.code) ? error.code : -32603,
         message: error.message,
       },
     };
@@ -204,29 +390,48 @@ app.post('/mcp', async (req, res) => {
 
   // Handle batch or single request
   const requests = Array.isArray(req.body) ? req.body : [req.body];
-  const responses = [];
+  if (requests.length === 0) {
+    return res.status(400).json(transportError(-32600, 'Invalid Request: empty batch'));
+  }
+  const initialize = requests.find(r => r?.method === 'initialize');
 
-  for (const request of requests) {
-    const response = await handleJsonRpcRequest(request);
-    if (response) {
-      responses.push(response);
+  let session;
+  if (initialize) {
+    // initialize always starts a new session
+    if (sessionId) {
+      return res.status(400).json(transportError(-32600, 'Invalid Request: initialize must be sent without Mcp-Session-Id'));
     }
+
+    expireSessions();
+    if (sessions.size >= MAX_SESSIONS) {
+      return res.status(503).json(transportError(-32000, 'Too many sessions, try again later'));
+    }
+
+    session = createSession(generateSessionId(), sessionOwner(req), negotiateProtocolVersion(initialize.params?.protocolVersion));
+    sessions.set(session.id, session);
+    res.set('Mcp-Session-Id', session.id);
+  } else {
+    session = requireSessionHeader(req, res);
+    if (!session) return;
   }
 
-  // Set session ID on initialize
-  if (requests.some(r => r.method === 'initialize') && !sessionId) {
-    const newSessionId = generateSessionId();
-    sessions.set(newSessionId, { created: Date.now() });
-    res.set('Mcp-Session-Id', newSessionId);
+  // Batch entries run concurrently; the page pool bounds actual browser work
+  let responses;
+  try {
+    const results = await Promise.all(requests.map(request => handleJsonRpcRequest(request, session)));
+    responses = results.filter(Boolean);
+  } catch (error) {
+    console.error('[HTTP] Failed to handle request:', error);
+    return res.status(500).json(transportError(-32603, 'Internal error'));
   }
 
   // Return response
   if (responses.length === 0) {
     res.status(202).send();
-  } else if (responses.length === 1) {
-    res.json(responses[0]);
-  } else {
+  } else if (Array.isArray(req.body)) {
     res.json(responses);
+  } else {
+    res.json(responses[0]);
   }
 });
 
@@ -238,13 +443,21 @@ app.get('/mcp', (req, res) => {
     return res.status(406).json({ error: 'Accept header must include text/event-stream' });
   }
 
-  console.log('[HTTP] GET /mcp - Opening SSE stream');
+  // Streams are bound to the session that opened them
+  const session = requireSessionHeader(req, res);
+  if (!session) return;
+
+  console.log(`[HTTP] GET /mcp - Opening SSE stream for session ${session.id}`);
 
   res.set({
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive',
   });
+  res.flushHeaders();
+
+  // Subscribe the stream to the session's notifications
+  session.streams.add(res);
 
   // Send keepalive
   const keepalive = setInterval(() => {
@@ -253,6 +466,8 @@ app.get('/mcp', (req, res) => {
 
   req.on('close', () => {
     clearInterval(keepalive);
+    session.streams.delete(res);
+    session.lastActivity = Date.now();
     console.log('[HTTP] SSE stream closed');
   });
 });
@@ -261,9 +476,9 @@ app.get('/mcp', (req, res) => {
 app.delete('/mcp', (req, res) => {
   const sessionId = req.headers['mcp-session-id'];
 
-  if (sessionId && sessions.has(sessionId)) {
-    sessions.delete(sessionId);
-    console.log(`[HTTP] Session ${sessionId} terminated`);
+  // Dropping the session drops its destination and preferences
+  const session = sessionId && sessions.get(sessionId);
+  if (session && session.owner === sessionOwner(req) && closeSession(sessionId, 'terminated')) {
     res.status(200).json({ success: true });
   } else {
     res.status(404).json({ error: 'Session not found' });
@@ -277,6 +492,9 @@ app.get('/health', (req, res) => {
     server: 'wb-mcp-server',
     version: '1.0.0',
     sessions: sessions.size,
+    watches: watchlist.items.length,
+    client: wbClient.stats(),
+    access: access.stats(),
   });
 });
 
@@ -290,7 +508,7 @@ app.get('/', (req, res) => {
       '/mcp': 'MCP Streamable HTTP endpoint (POST/GET/DELETE)',
       '/health': 'Health check',
     },
-    tools: TOOLS.map(t => ({ name: t.name, description: t.description })),
+    tools: listTools().map(t => ({ name: t.name, description: t.description })),
   });
 });
 
@@ -300,6 +518,11 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`[HTTP Server] Wildberries MCP Server running on http://0.0.0.0:${PORT}`);
   console.log(`[HTTP Server] MCP endpoint: http://0.0.0.0:${PORT}/mcp`);
+  if (!access.enabled) {
+    console.log('[HTTP Server] Warning: no API keys configured (WB_API_KEYS / WB_API_KEYS_FILE), the MCP endpoint is open');
+  }
+  watchlist.start();
+  subscriptions.start();
 });
 
 // Graceful shutdown
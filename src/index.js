@@ -3,12 +3,57 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import WBClient from './wb-client.js';
+import { listTools, callTool } from './tools.js';
+import {
+  listResources,
+  listResourceTemplates,
+  readResource,
+  subscribeResource,
+  unsubscribeResource,
+} from './resources.js';
+import { listPrompts, getPrompt } from './prompts.js';
+import { createSessionState } from './session-state.js';
+import Watchlist from './watchlist.js';
+import Subscriptions from './subscriptions.js';
 
 // Initialize WB Client
 const wbClient = new WBClient();
 
+// A stdio server talks to a single client, so it has a single session state
+const sessionState = createSessionState();
+const SESSION_ID = 'stdio';
+
+// Price watchlist, alerts are sent to the client as log messages
+// Stdio watches outlive the process; concurrent stdio servers see the same watches
+// and the persisted alert state keeps them from alerting twice
+const watchlist = new Watchlist(wbClient, {
+  interval: (parseInt(process.env.WB_WATCH_INTERVAL) || 900) * 1000,
+  owns: owner => owner === SESSION_ID,
+});
+
+// Product resource subscriptions, updates are sent as resource notifications
+const subscriptions = new Subscriptions(wbClient, {
+  interval: (parseInt(process.env.WB_SUBSCRIPTION_INTERVAL) || 300) * 1000,
+});
+
+// Context passed to tool and resource handlers
+const context = {
+  client: wbClient,
+  state: sessionState,
+  sessionId: SESSION_ID,
+  watchlist,
+  subscriptions,
+};
+
 // Create MCP Server
 const server = new Server(
   {
@@ -18,217 +63,72 @@ const server = new Server(
   {
     capabilities: {
       tools: {},
+      resources: { subscribe: true },
+      prompts: {},
+      logging: {},
     },
   }
 );
 
-// Define available tools
-const TOOLS = [
-  {
-    name: 'wb_search',
-    description: 'Search for products on Wildberries marketplace. Returns list of products with prices, ratings, and links.',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        query: {
-          type: 'string',
-          description: 'Search query (e.g., "iPhone 15", "материнская плата AM4")',
-        },
-        sort: {
-          type: 'string',
-          enum: ['popular', 'rate', 'priceup', 'pricedown', 'newly'],
-          description: 'Sort order: popular (default), rate (by rating), priceup (price ascending), pricedown (price descending), newly (newest first)',
-        },
-        page: {
-          type: 'number',
-          description: 'Page number (default: 1)',
-        },
-        priceMin: {
-          type: 'number',
-          description: 'Minimum price in rubles',
-        },
-        priceMax: {
-          type: 'number',
-          description: 'Maximum price in rubles',
-        },
-        limit: {
-          type: 'number',
-          description: 'Maximum number of results to return (default: 20, max: 100)',
-        },
-      },
-      required: ['query'],
-    },
-  },
-  {
-    name: 'wb_product_details',
-    description: 'Get detailed information about a specific product by its ID. Returns full description, characteristics, prices, stock info, and delivery time.',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        productId: {
-          type: 'string',
-          description: 'Product ID (nm_id) from Wildberries',
-        },
-      },
-      required: ['productId'],
-    },
-  },
-  {
-    name: 'wb_products_list',
-    description: 'Get information about multiple products by their IDs. Useful for comparing products.',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        productIds: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'Array of product IDs to fetch',
-        },
-      },
-      required: ['productIds'],
-    },
-  },
-  {
-    name: 'wb_set_destination',
-    description: 'Set delivery destination city/address. This affects delivery times and available stock in search results.',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        address: {
-          type: 'string',
-          description: 'City or address for delivery (e.g., "Москва", "Саки, Крым", "Санкт-Петербург")',
-        },
-      },
-      required: ['address'],
-    },
-  },
-  {
-    name: 'wb_get_filters',
-    description: 'Get available filters and sort options for a search query. Useful for understanding what filters can be applied.',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        query: {
-          type: 'string',
-          description: 'Search query to get filters for',
-        },
-      },
-      required: ['query'],
-    },
-  },
-];
-
 // Handle list tools request
 server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return { tools: TOOLS };
+  return { tools: listTools() };
 });
 
 // Handle tool calls
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
   const { name, arguments: args } = request.params;
+  return callTool(name, args, context);
+});
 
-  try {
-    switch (name) {
-      case 'wb_search': {
-        const results = await wbClient.search(args.query, {
-          sort: args.sort || 'popular',
-          page: args.page || 1,
-          priceMin: args.priceMin,
-          priceMax: args.priceMax,
-          limit: Math.min(args.limit || 20, 100),
-        });
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                success: true,
-                query: args.query,
-                count: results.length,
-                products: results,
-              }, null, 2),
-            },
-          ],
-        };
-      }
-
-      case 'wb_product_details': {
-        const product = await wbClient.getProductDetails(args.productId);
+// Handle resource requests
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  return { resources: listResources(context) };
+});
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                success: true,
-                product,
-              }, null, 2),
-            },
-          ],
-        };
-      }
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  return { resourceTemplates: listResourceTemplates() };
+});
 
-      case 'wb_products_list': {
-        const products = await wbClient.getProductsList(args.productIds);
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  return readResource(request.params.uri, context);
+});
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                success: true,
-                count: products.length,
-                products,
-              }, null, 2),
-            },
-          ],
-        };
-      }
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  return subscribeResource(request.params.uri, context);
+});
 
-      case 'wb_set_destination': {
-        const result = await wbClient.setDestination(args.address);
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  return unsubscribeResource(request.params.uri, context);
+});
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
-      }
+// Handle prompt requests
+server.setRequestHandler(ListPromptsRequestSchema, async () => {
+  return { prompts: listPrompts() };
+});
 
-      case 'wb_get_filters': {
-        const filters = await wbClient.getFilters(args.query);
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  return getPrompt(request.params.name, request.params.arguments);
+});
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(filters, null, 2),
-            },
-          ],
-        };
-      }
+// Forward watch alerts to the client
+watchlist.on('alert', (alert) => {
+  if (alert.owner !== SESSION_ID) return;
+  server.sendLoggingMessage({
+    level: 'notice',
+    logger: 'wb-watchlist',
+    data: alert,
+  }).catch((error) => {
+    console.error('[MCP Server] Failed to send watch alert:', error.message);
+  });
+});
 
-      default:
-        throw new Error(`Unknown tool: ${name}`);
-    }
-  } catch (error) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            success: false,
-            error: error.message,
-          }, null, 2),
-        },
-      ],
-      isError: true,
-    };
-  }
+// Notify the client about changed product resources
+subscriptions.on('updated', ({ owner, uri }) => {
+  if (owner !== SESSION_ID) return;
+  server.sendResourceUpdated({ uri }).catch((error) => {
+    console.error('[MCP Server] Failed to send resource update:', error.message);
+  });
 });
 
 // Handle graceful shutdown
@@ -252,6 +152,8 @@ async function main() {
   await server.connect(transport);
 
   console.log('[MCP Server] Server started and listening on stdio');
+  watchlist.start();
+  subscriptions.start();
 }
 
 main().catch((error) => {
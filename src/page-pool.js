@@ -0,0 +1,145 @@
+/**
+ * Pool of Playwright pages sharing one browser context
+ * Lets several tool calls navigate and fetch in parallel without touching each other's tab
+ */
+class PagePool {
+  /**
+   * @param {import('playwright').BrowserContext} context - Browser context to open pages in
+   * @param {Object} options - Pool options
+   * @param {number} options.size - Maximum number of pages
+   * @param {number} options.maxQueue - Maximum number of callers waiting for a page
+   * @param {Function} options.setupPage - Async hook run on every new page
+   */
+  constructor(context, { size = 3, maxQueue = 50, setupPage = async () => {} } = {}) {
+    this.context = context;
+    this.size = size;
+    this.maxQueue = maxQueue;
+    this.setupPage = setupPage;
+
+    this.pages = new Set(); // All open pages
+    this.idle = []; // Pages ready to be handed out
+    this.waiters = []; // Resolvers of callers waiting for a page
+    this.creating = 0; // Pages being opened right now
+    this.closed = false;
+  }
+
+  /**
+   * Open a new page and run the setup hook on it
+   */
+  async createPage() {
+    this.creating++;
+    let page = null;
+    try {
+      page = await this.context.newPage();
+      await this.setupPage(page);
+    } catch (error) {
+      await page?.close().catch(() => {});
+      this.creating--;
+
+      // The slot is free again, otherwise callers queued behind it would wait forever
+      this.createForWaiter();
+      throw error;
+    }
+    this.creating--;
+    this.pages.add(page);
+    return page;
+  }
+
+  /**
+   * Open a page for the next waiting caller after a slot has been freed
+   * A failure is passed on to that caller, which in turn frees the slot for the one after it
+   */
+  createForWaiter() {
+    const waiter = !this.closed && this.waiters.shift();
+    if (waiter) {
+      this.createPage().then(waiter.resolve, waiter.reject);
+    }
+  }
+
+  /**
+   * Take a page from the pool, waiting in the queue if all pages are busy
+   */
+  async acquire() {
+    if (this.closed) throw new Error('Page pool is closed');
+
+    while (this.idle.length > 0) {
+      const page = this.idle.pop();
+      if (!page.isClosed()) return page;
+      this.pages.delete(page);
+    }
+
+    if (this.pages.size + this.creating < this.size) {
+      return this.createPage();
+    }
+
+    if (this.waiters.length >= this.maxQueue) {
+      throw new Error(`Page pool queue is full (${this.maxQueue} requests waiting)`);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ resolve, reject });
+    });
+  }
+
+  /**
+   * Return a page to the pool or hand it to the next waiting caller
+   */
+  release(page) {
+    if (page.isClosed() || this.closed) {
+      this.pages.delete(page);
+
+      // Replace a crashed page so the queue keeps moving
+      this.createForWaiter();
+      return;
+    }
+
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter.resolve(page);
+    } else {
+      this.idle.push(page);
+    }
+  }
+
+  /**
+   * Run a function with a page from the pool
+   * @param {Function} fn - Async function receiving the page
+   */
+  async use(fn) {
+    const page = await this.acquire();
+    try {
+      return await fn(page);
+    } finally {
+      this.release(page);
+    }
+  }
+
+  /**
+   * Current pool usage
+   */
+  stats() {
+    return {
+      size: this.size,
+      open: this.pages.size,
+      busy: this.pages.size - this.idle.length,
+      idle: this.idle.length,
+      queued: this.waiters.length,
+      maxQueue: this.maxQueue
+    };
+  }
+
+  /**
+   * Close all pages and reject waiting callers
+   */
+  async close() {
+    this.closed = true;
+    for (const waiter of this.waiters.splice(0)) {
+      waiter.reject(new Error('Page pool is closed'));
+    }
+    await Promise.all([...this.pages].map(page => page.close().catch(() => {})));
+    this.pages.clear();
+    this.idle = [];
+  }
+}
+
+export default PagePool;
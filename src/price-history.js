@@ -0,0 +1,194 @@
+import fs from 'fs';
+import path from 'path';
+import { dataPath } from './storage.js';
+
+/**
+ * Local price history store
+ * Append-only JSON lines file, one observation per line:
+ * { nmId, size, dest, currency, price, basic, ts } with prices in kopeks
+ */
+class PriceHistory {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.file - JSON lines file
+   * @param {number} options.minInterval - Unchanged prices are recorded at most once per this many ms
+   */
+  constructor(options = {}) {
+    this.file = options.file || dataPath('price-history.jsonl');
+    this.minInterval = options.minInterval ?? 60 * 60 * 1000;
+    this.byProduct = null; // nmId -> observations, loaded lazily
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Read the history file into memory on first use
+   */
+  load() {
+    if (this.byProduct) return;
+    this.byProduct = new Map();
+
+    let content = '';
+    try {
+      content = fs.readFileSync(this.file, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.error(`[Price History] Failed to read ${this.file}: ${e.message}`);
+      return;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+      try {
+        this.add(JSON.parse(line));
+      } catch (e) {
+        // Skip a partially written line
+      }
+    }
+  }
+
+  /**
+   * Add an observation to the in-memory index
+   */
+  add(entry) {
+    const key = String(entry.nmId);
+    if (!this.byProduct.has(key)) this.byProduct.set(key, []);
+    this.byProduct.get(key).push(entry);
+  }
+
+  /**
+   * Record observed prices
+   * An observation equal to the previous one for the same product/size/destination is skipped
+   * unless minInterval has passed
+   * @param {Array<Object>} observations - { nmId, size, dest, currency, price, basic } in kopeks
+   */
+  record(observations) {
+    this.load();
+
+    const ts = Date.now();
+    const lines = [];
+
+    for (const obs of observations) {
+      if (!obs.nmId || !obs.price) continue;
+
+      const entry = {
+        nmId: Number(obs.nmId),
+        size: obs.size || null,
+        dest: String(obs.dest),
+        currency: obs.currency,
+        price: obs.price,
+        basic: obs.basic || null,
+        ts
+      };
+
+      const previous = (this.byProduct.get(String(entry.nmId)) || []).findLast(e =>
+        e.size === entry.size && e.dest === entry.dest && e.currency === entry.currency
+      );
+      if (previous && previous.price === entry.price && previous.basic === entry.basic &&
+          ts - previous.ts < this.minInterval) {
+        continue;
+      }
+
+      this.add(entry);
+      lines.push(JSON.stringify(entry));
+    }
+
+    if (lines.length === 0) return;
+
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.appendFile(this.file, lines.join('\n') + '\n');
+      })
+      .catch(e => console.error(`[Price History] Failed to write: ${e.message}`));
+  }
+
+  /**
+   * Price series of a product
+   * Without a size, each point is the lowest price across sizes at that moment.
+   * Unchanged prices are not re-recorded within minInterval, so a point carries forward the
+   * latest price of every size observed within that interval; older sizes are no longer sold
+   * @param {string|number} nmId - Product ID
+   * @param {Object} filter - { currency, dest, size, since }
+   */
+  series(nmId, filter = {}) {
+    this.load();
+
+    const entries = (this.byProduct.get(String(nmId)) || []).filter(e =>
+      (!filter.currency || e.currency === filter.currency) &&
+      (!filter.dest || e.dest === String(filter.dest)) &&
+      (!filter.size || e.size === filter.size)
+    );
+
+    if (filter.size) return entries.filter(e => !filter.since || e.ts >= filter.since);
+
+    const latest = new Map(); // dest -> size -> latest entry
+    const points = new Map(); // ts|dest -> point
+    for (const e of entries) {
+      if (!latest.has(e.dest)) latest.set(e.dest, new Map());
+      const sizes = latest.get(e.dest);
+      sizes.set(e.size, e);
+
+      let lowest = e;
+      for (const [size, s] of sizes) {
+        if (s.ts < e.ts && e.ts - s.ts >= this.minInterval) {
+          sizes.delete(size);
+        } else if (s.price < lowest.price) {
+          lowest = s;
+        }
+      }
+      points.set(`${e.ts}|${e.dest}`, { ...lowest, ts: e.ts });
+    }
+
+    return [...points.values()]
+      .filter(e => !filter.since || e.ts >= filter.since)
+      .sort((a, b) => a.ts - b.ts);
+  }
+
+  /**
+   * Series statistics and a check whether the current price is a real discount
+   * A discount is "real" when the current price is at least 5% below the average of earlier observations.
+   * Prices differ between destinations, so the current price is only compared with its own destination
+   * @param {string|number} nmId - Product ID
+   * @param {Object} filter - { currency, dest, size, since }
+   */
+  summary(nmId, filter = {}) {
+    const series = this.series(nmId, filter);
+    if (series.length === 0) {
+      return { observations: 0, series: [] };
+    }
+
+    const prices = series.map(e => e.price);
+    const current = series[series.length - 1];
+    const earlier = series.slice(0, -1).filter(e => e.dest === current.dest).map(e => e.price);
+    const average = prices.reduce((sum, p) => sum + p, 0) / prices.length;
+    const earlierAverage = earlier.length ? earlier.reduce((sum, p) => sum + p, 0) / earlier.length : null;
+    const toUnits = kopeks => (kopeks === null ? null : Math.round(kopeks) / 100);
+
+    return {
+      observations: series.length,
+      from: new Date(series[0].ts).toISOString(),
+      to: new Date(current.ts).toISOString(),
+      current: toUnits(current.price),
+      currentDest: current.dest,
+      currentBasic: toUnits(current.basic),
+      min: toUnits(Math.min(...prices)),
+      max: toUnits(Math.max(...prices)),
+      average: toUnits(average),
+      // Discount WB shows (crossed-out price vs current)
+      claimedDiscount: current.basic ? Math.round((1 - current.price / current.basic) * 100) : null,
+      // Whether anyone was ever charged the crossed-out price
+      basicPriceSeen: current.basic ? earlier.some(p => p >= current.basic) : null,
+      discountVsAverage: earlierAverage ? Math.round((1 - current.price / earlierAverage) * 100) : null,
+      isLowest: earlier.length > 0 && current.price <= Math.min(...earlier),
+      isRealDiscount: earlierAverage !== null && current.price <= earlierAverage * 0.95,
+      series: series.slice(-500).map(e => ({
+        date: new Date(e.ts).toISOString(),
+        price: toUnits(e.price),
+        basic: toUnits(e.basic),
+        size: e.size,
+        dest: e.dest
+      }))
+    };
+  }
+}
+
+export default PriceHistory;
@@ -0,0 +1,130 @@
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * Prompt registry shared by the stdio and HTTP transports
+ * Each prompt turns its arguments into a user message that walks the model through the tools
+ */
+
+// First step of every prompt that takes a city
+function cityStep(city) {
+  return city
+    ? `Сначала установи город доставки «${city}» через wb_set_destination, чтобы цены, наличие и сроки были для этого города.`
+    : 'Город доставки не указан — используй текущий город сессии.';
+}
+
+const PROMPTS = [
+  {
+    name: 'best_value_under_budget',
+    description: 'Find the best value product within a budget: search, filter by price, check details and reviews of the top candidates',
+    arguments: [
+      { name: 'query', description: 'What to buy, e.g. "беспроводные наушники"', required: true },
+      { name: 'budget', description: 'Maximum price in rubles', required: true },
+      { name: 'category', description: 'Category or extra requirements, e.g. "с шумоподавлением"', required: false },
+      { name: 'city', description: 'Delivery city', required: false },
+    ],
+    build({ query, budget, category, city }) {
+      const maxPrice = parseInt(budget.replace(/[\s₽]/g, ''));
+      if (!(maxPrice > 0)) {
+        throw new McpError(ErrorCode.InvalidParams, 'Argument "budget" must be a price in rubles');
+      }
+
+      return [
+        `Подбери лучший по соотношению цена/качество товар «${query}»${category ? ` (${category})` : ''} с бюджетом до ${maxPrice} ₽.`,
+        '',
+        `1. ${cityStep(city)}`,
+        `2. Найди товары через wb_search с priceMax=${maxPrice} и sort=rate, затем ещё раз с sort=popular. Если нужно сузить выдачу, получи фильтры через wb_get_filters.`,
+        '3. Отбери 3–5 кандидатов с рейтингом от 4.5 и заметным числом отзывов.',
+        '4. Для каждого кандидата получи wb_product_details: характеристики, наличие и срок доставки.',
+        '5. Для лидеров посмотри wb_product_reviews с sort=lowest, чтобы найти типичные проблемы.',
+        '6. Дай итог: один рекомендуемый товар и 1–2 альтернативы со ссылками, ценой, сроком доставки и кратким обоснованием.',
+      ].join('\n');
+    },
+  },
+  {
+    name: 'check_seller',
+    description: 'Check whether a product and its seller can be trusted: seller profile, reviews and price history',
+    arguments: [
+      { name: 'productId', description: 'Product ID (nm_id)', required: true },
+      { name: 'city', description: 'Delivery city', required: false },
+    ],
+    build({ productId, city }) {
+      return [
+        `Проверь, можно ли доверять продавцу товара ${productId}.`,
+        '',
+        `1. ${cityStep(city)}`,
+        `2. Получи wb_product_details для ${productId} и возьми supplierId.`,
+        '3. Получи профиль продавца через wb_seller_info: срок работы на маркетплейсе, рейтинг, число продаж, процент брака, условия возврата.',
+        `4. Посмотри wb_product_reviews для ${productId} с sort=lowest и stars=[1, 2]: есть ли жалобы на подделки, брак или несоответствие описанию.`,
+        `5. Проверь wb_price_history для ${productId}: настоящая ли скидка.`,
+        '6. Дай вывод: надёжен ли продавец, какие есть риски и стоит ли покупать.',
+      ].join('\n');
+    },
+  },
+  {
+    name: 'compare_items',
+    description: 'Compare several products and recommend one: characteristics, prices, delivery and reviews',
+    arguments: [
+      { name: 'productIds', description: 'Comma-separated product IDs, e.g. "123,456,789"', required: true },
+      { name: 'priorities', description: 'What matters most, e.g. "автономность и вес"', required: false },
+      { name: 'city', description: 'Delivery city', required: false },
+    ],
+    build({ productIds, priorities, city }) {
+      const ids = productIds.split(/[\s,;]+/).filter(Boolean);
+      return [
+        `Сравни товары ${ids.join(', ')} и помоги выбрать${priorities ? `, с приоритетом на: ${priorities}` : ''}.`,
+        '',
+        `1. ${cityStep(city)}`,
+        `2. Получи wb_product_details для каждого товара (${ids.join(', ')}).`,
+        '3. Сопоставь цену, характеристики, рейтинг, продавца, наличие и срок доставки. Для сводной таблицы используй wb_compare_products.',
+        '4. Для каждого товара посмотри wb_product_reviews с sort=lowest, чтобы найти слабые места.',
+        '5. Покажи сравнение таблицей и дай рекомендацию с обоснованием.',
+      ].join('\n');
+    },
+  },
+];
+
+const promptsByName = new Map(PROMPTS.map(prompt => [prompt.name, prompt]));
+
+/**
+ * Prompt definitions as advertised in prompts/list
+ */
+export function listPrompts() {
+  return PROMPTS.map(({ name, description, arguments: args }) => ({ name, description, arguments: args }));
+}
+
+/**
+ * Build a prompt
+ * @param {string} name - Prompt name
+ * @param {Object} args - Prompt arguments (strings)
+ */
+export function getPrompt(name, args = {}) {
+  const prompt = promptsByName.get(name);
+  if (!prompt) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+
+  const values = {};
+  for (const arg of prompt.arguments) {
+    const value = args?.[arg.name];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      if (arg.required) {
+        throw new McpError(ErrorCode.InvalidParams, `Missing required argument "${arg.name}"`);
+      }
+      continue;
+    }
+    values[arg.name] = String(value).trim();
+  }
+
+  return {
+    description: prompt.description,
+    messages: [
+      {
+        role: 'user',
+        content: {
+          type: 'text',
+          text: prompt.build(values),
+        },
+      },
+    ],
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * Global rate limiter for requests to Wildberries
+ * Spaces requests evenly so that no more than `perSecond` start in any second
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.perSecond - Max requests started per second
+   */
+  constructor(options = {}) {
+    this.perSecond = options.perSecond || 10;
+    this.interval = 1000 / this.perSecond;
+    this.next = 0; // Earliest time the next request may start
+    this.waiting = 0;
+  }
+
+  /**
+   * Wait for a free slot
+   */
+  async take() {
+    const now = Date.now();
+    const start = Math.max(this.next, now);
+    this.next = start + this.interval;
+
+    if (start > now) {
+      this.waiting++;
+      await new Promise(resolve => setTimeout(resolve, start - now));
+      this.waiting--;
+    }
+  }
+
+  /**
+   * Limiter statistics for health reporting
+   */
+  stats() {
+    return {
+      perSecond: this.perSecond,
+      waiting: this.waiting
+    };
+  }
+}
+
+export default RateLimiter;
@@ -0,0 +1,159 @@
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { SORT_VALUES } from './session-state.js';
+
+/**
+ * Resource registry shared by the stdio and HTTP transports
+ * Products, searches, sellers and categories are exposed as wb:// resources
+ */
+
+// JSON-RPC error code the MCP spec uses for unknown resources
+const RESOURCE_NOT_FOUND = -32002;
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'wb://product/{nmId}',
+    name: 'Wildberries product',
+    description: 'Product details: prices, sizes, stock, delivery, characteristics and description. Subscribe to get notified when the price or stock changes.',
+    mimeType: 'application/json',
+    type: 'product',
+    async read({ id }, { client, state }) {
+      return client.getProductDetails(id, state);
+    },
+  },
+  {
+    uriTemplate: 'wb://search{?query,sort,limit}',
+    name: 'Wildberries search results',
+    description: 'Search results for a query, e.g. wb://search?query=iphone&sort=priceup&limit=20',
+    mimeType: 'application/json',
+    type: 'search',
+    async read({ params }, { client, state }) {
+      const query = params.get('query');
+      if (!query) {
+        throw new McpError(ErrorCode.InvalidParams, 'Search resource needs a query parameter');
+      }
+
+      const sort = params.get('sort') || state.preferences.sort;
+      if (!SORT_VALUES.includes(sort)) {
+        throw new McpError(ErrorCode.InvalidParams, `Invalid sort "${sort}", expected one of: ${SORT_VALUES.join(', ')}`);
+      }
+
+      const limit = Math.min(Math.max(parseInt(params.get('limit')) || state.preferences.limit, 1), 100);
+      const { products, total } = await client.search(query, { sort, limit }, state);
+      return { query, total, count: products.length, products };
+    },
+  },
+  {
+    uriTemplate: 'wb://seller/{sellerId}',
+    name: 'Wildberries seller',
+    description: 'Seller profile: legal name, registration date, rating and sales',
+    mimeType: 'application/json',
+    type: 'seller',
+    async read({ id }, { client }) {
+      return client.getSellerInfo(id);
+    },
+  },
+  {
+    uriTemplate: 'wb://category/{categoryId}',
+    name: 'Wildberries category',
+    description: 'First page of products in a category (IDs from wb_categories)',
+    mimeType: 'application/json',
+    type: 'category',
+    async read({ id }, { client, state }) {
+      return client.getCategoryProducts({ id: Number(id) }, { limit: state.preferences.limit }, state);
+    },
+  },
+];
+
+const templatesByType = new Map(RESOURCE_TEMPLATES.map(template => [template.type, template]));
+
+/**
+ * Split a wb:// URI into its resource type, ID and query parameters
+ * @param {string} uri - Resource URI
+ */
+export function parseResourceUri(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch (e) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid resource URI: ${uri}`);
+  }
+
+  const template = url.protocol === 'wb:' && templatesByType.get(url.hostname);
+  const id = url.pathname.replace(/^\//, '');
+
+  if (!template || (template.type !== 'search' && !/^\d+$/.test(id))) {
+    throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+  }
+
+  return { type: template.type, id, params: url.searchParams, template };
+}
+
+/**
+ * Resource templates as advertised in resources/templates/list
+ */
+export function listResourceTemplates() {
+  return RESOURCE_TEMPLATES.map(({ uriTemplate, name, description, mimeType }) => ({
+    uriTemplate, name, description, mimeType,
+  }));
+}
+
+/**
+ * Concrete resources of a session: the products it is subscribed to
+ * @param {Object} context - { sessionId, subscriptions }
+ */
+export function listResources({ sessionId, subscriptions }) {
+  return subscriptions.list(sessionId).map(uri => ({
+    uri,
+    name: `Product ${parseResourceUri(uri).id}`,
+    mimeType: 'application/json',
+  }));
+}
+
+/**
+ * Read a resource
+ * @param {string} uri - Resource URI
+ * @param {Object} context - { client, state }
+ */
+export async function readResource(uri, context) {
+  const parsed = parseResourceUri(uri);
+  const data = await parsed.template.read(parsed, context);
+
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: parsed.template.mimeType,
+        text: JSON.stringify(data, null, 2),
+      },
+    ],
+  };
+}
+
+/**
+ * Subscribe a session to updates of a product resource
+ * @param {string} uri - Resource URI
+ * @param {Object} context - { state, sessionId, subscriptions }
+ */
+export function subscribeResource(uri, { state, sessionId, subscriptions }) {
+  if (!sessionId) {
+    throw new McpError(ErrorCode.InvalidRequest, 'Subscriptions require a session: send the Mcp-Session-Id header returned by initialize');
+  }
+
+  const { type, id } = parseResourceUri(uri);
+  if (type !== 'product') {
+    throw new McpError(ErrorCode.InvalidParams, 'Only product resources (wb://product/{nmId}) support subscriptions');
+  }
+
+  subscriptions.subscribe({ owner: sessionId, uri, productId: id, state });
+  return {};
+}
+
+/**
+ * Remove a resource subscription of a session
+ * @param {string} uri - Resource URI
+ * @param {Object} context - { sessionId, subscriptions }
+ */
+export function unsubscribeResource(uri, { sessionId, subscriptions }) {
+  subscriptions.unsubscribe(sessionId, uri);
+  return {};
+}
@@ -0,0 +1,45 @@
+/**
+ * Per-session client state
+ * Destination, currency and preferences that tools read instead of global client fields
+ */
+
+// Default destination (Moscow)
+export const DEFAULT_DEST = '-1255987';
+
+// Currencies supported by WB card APIs and their display symbols
+export const CURRENCIES = {
+  rub: '₽',
+  byn: 'Br',
+  kzt: '₸',
+  kgs: 'сом',
+  amd: '֏',
+  uzs: 'сум',
+};
+
+// Sort orders of WB search and catalog listings
+export const SORT_VALUES = ['popular', 'rate', 'priceup', 'pricedown', 'newly'];
+
+/**
+ * Create a fresh session state
+ */
+export function createSessionState() {
+  return {
+    dest: DEFAULT_DEST,
+    address: 'Москва',
+    currency: 'rub',
+    preferences: {
+      sort: 'popular',
+      limit: 20,
+    },
+  };
+}
+
+/**
+ * Format a price in the session currency
+ * @param {number} price - Price in currency units (not kopeks)
+ * @param {string} currency - Currency code
+ */
+export function formatPrice(price, currency = 'rub') {
+  if (price === null || price === undefined) return null;
+  return `${price.toLocaleString('ru-RU')} ${CURRENCIES[currency] || currency.toUpperCase()}`;
+}
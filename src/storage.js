@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Local data directory helpers
+ * Everything the server persists lives under WB_DATA_DIR (default: data/ in the package directory)
+ */
+
+// MCP clients start stdio servers from arbitrary working directories, so the default
+// is resolved against the package rather than the cwd
+export const DATA_DIR = process.env.WB_DATA_DIR
+  ? path.resolve(process.env.WB_DATA_DIR)
+  : fileURLToPath(new URL('../data', import.meta.url));
+
+// Keeps temp file names unique when the same file is written concurrently
+let writeCounter = 0;
+
+/**
+ * Absolute path of a file inside the data directory
+ * @param {string} name - File name
+ */
+export function dataPath(name) {
+  return path.isAbsolute(name) ? name : path.join(DATA_DIR, name);
+}
+
+/**
+ * Read a JSON file synchronously
+ * @param {string} file - File path
+ * @param {*} fallback - Value returned when the file is missing or broken
+ */
+export function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      console.error(`[Storage] Failed to read ${file}: ${e.message}`);
+    }
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON file atomically (temp file + rename)
+ * @param {string} file - File path
+ * @param {*} data - Data to serialize
+ */
+export async function writeJson(file, data) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${++writeCounter}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(data));
+  await fs.promises.rename(tmp, file);
+}
+
+/**
+ * Write a JSON file atomically and synchronously, for read-modify-write cycles
+ * that must not interleave with other writes of the same process
+ * @param {string} file - File path
+ * @param {*} data - Data to serialize
+ */
+export function writeJsonSync(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${++writeCounter}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, file);
+}
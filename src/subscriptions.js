@@ -0,0 +1,144 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Resource subscriptions
+ * Periodically checks subscribed products and emits 'updated' with { owner, uri }
+ * when the price or stock changed since the previous check.
+ * Subscriptions live as long as the session, so they are kept in memory only
+ */
+class Subscriptions extends EventEmitter {
+  /**
+   * @param {import('./wb-client.js').default} client - WB client used for polling
+   * @param {Object} options - Subscription options
+   * @param {number} options.interval - Poll interval in milliseconds
+   */
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.interval = options.interval || 5 * 60 * 1000;
+    this.items = new Map(); // `${owner}|${uri}` -> subscription
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Subscribe a session to a product
+   * @param {Object} params - Subscription parameters
+   * @param {string} params.owner - Session that gets the notifications
+   * @param {string} params.uri - Resource URI
+   * @param {string|number} params.productId - Product ID (nm_id)
+   * @param {Object} params.state - Session state (destination and currency are remembered)
+   */
+  subscribe({ owner, uri, productId, state }) {
+    const key = `${owner}|${uri}`;
+    if (this.items.has(key)) return;
+
+    this.items.set(key, {
+      owner,
+      uri,
+      nmId: Number(productId),
+      dest: state.dest,
+      currency: state.currency,
+      fingerprint: null
+    });
+  }
+
+  /**
+   * Remove a subscription
+   * @param {string} owner - Session ID
+   * @param {string} uri - Resource URI
+   * @returns {boolean} Whether a subscription was removed
+   */
+  unsubscribe(owner, uri) {
+    return this.items.delete(`${owner}|${uri}`);
+  }
+
+  /**
+   * Remove every subscription of a session
+   * @param {string} owner - Session ID
+   */
+  removeOwner(owner) {
+    for (const [key, item] of this.items) {
+      if (item.owner === owner) this.items.delete(key);
+    }
+  }
+
+  /**
+   * Subscribed URIs of a session
+   * @param {string} owner - Session ID
+   */
+  list(owner) {
+    return [...this.items.values()].filter(item => item.owner === owner).map(item => item.uri);
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.poll().catch(e => console.error(`[Subscriptions] Poll failed: ${e.message}`));
+    }, this.interval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Check every subscribed product once
+   * Products are fetched in batches per destination and currency
+   */
+  async poll() {
+    if (this.polling || this.items.size === 0) return;
+    this.polling = true;
+
+    try {
+      const groups = new Map();
+      for (const item of this.items.values()) {
+        const key = `${item.dest}|${item.currency}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+      }
+
+      for (const items of groups.values()) {
+        const state = { dest: items[0].dest, currency: items[0].currency };
+        const ids = [...new Set(items.map(item => item.nmId))];
+
+        for (let i = 0; i < ids.length; i += 100) {
+          const products = await this.client.getProductsList(ids.slice(i, i + 100), state);
+          const byId = new Map(products.map(p => [Number(p.id), p]));
+
+          for (const item of items) {
+            const product = byId.get(item.nmId);
+            if (product) this.check(item, product);
+          }
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Compare fresh product data with the previous check
+   * The first check only records the state
+   */
+  check(item, product) {
+    const fingerprint = `${product.priceFinal}|${product.inStock || 0}`;
+    const changed = item.fingerprint !== null && item.fingerprint !== fingerprint;
+    item.fingerprint = fingerprint;
+
+    // The subscription may have been removed while the batch was loading
+    if (changed && this.items.has(`${item.owner}|${item.uri}`)) {
+      this.emit('updated', { owner: item.owner, uri: item.uri });
+    }
+  }
+}
+
+export default Subscriptions;
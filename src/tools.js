@@ -0,0 +1,998 @@
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { CURRENCIES, SORT_VALUES } from './session-state.js';
+import { compareProducts } from './compare.js';
+
+/**
+ * Tool registry shared by the stdio and HTTP transports
+ * Each tool declares its schema, argument limits and handler
+ */
+
+// Sorting, paging and price options shared by catalog-listing tools
+const CATALOG_PROPERTIES = {
+  sort: {
+    type: 'string',
+    enum: SORT_VALUES,
+    description: 'Sort order: popular (default), rate (by rating), priceup (price ascending), pricedown (price descending), newly (newest first). Defaults to the session preference',
+  },
+  page: {
+    type: 'integer',
+    minimum: 1,
+    default: 1,
+    description: 'Page number (default: 1)',
+  },
+  priceMin: {
+    type: 'number',
+    minimum: 0,
+    description: 'Minimum price in rubles',
+  },
+  priceMax: {
+    type: 'number',
+    minimum: 0,
+    description: 'Maximum price in rubles',
+  },
+  limit: {
+    type: 'integer',
+    minimum: 1,
+    description: 'Maximum number of results to return (default: session preference, 20 unless changed; max: 100)',
+  },
+  filters: {
+    type: 'object',
+    description: 'Facet filters with value ids from wb_get_filters, e.g. { "brand": [6049], "color": [0], "rating": true }. Other facets are passed by their param key, e.g. { "f14177451": [12345] }',
+    properties: {
+      brand: { type: 'array', items: { type: 'integer' }, description: 'Brand ids' },
+      category: { type: 'array', items: { type: 'integer' }, description: 'Category (subject) ids' },
+      color: { type: 'array', items: { type: 'integer' }, description: 'Color ids' },
+      size: { type: 'array', items: { type: 'integer' }, description: 'Size ids' },
+      seller: { type: 'array', items: { type: 'integer' }, description: 'Seller ids' },
+      deliveryTime: { type: 'array', items: { type: 'integer' }, description: 'Delivery time ids' },
+      rating: { type: 'boolean', description: 'Only products rated 4.7 and higher' },
+    },
+    additionalProperties: { type: 'array', items: { type: 'integer' } },
+  },
+};
+
+/**
+ * Catalog options from tool arguments, falling back to session preferences
+ */
+function catalogOptions(args, state) {
+  return {
+    sort: args.sort ?? state.preferences.sort,
+    page: args.page,
+    priceMin: args.priceMin,
+    priceMax: args.priceMax,
+    limit: args.limit ?? state.preferences.limit,
+    filters: args.filters,
+  };
+}
+
+/**
+ * Watches belong to a session, so the watchlist tools need one
+ */
+function requireSession(sessionId) {
+  if (!sessionId) {
+    throw new Error('This tool requires a session: send the Mcp-Session-Id header returned by initialize');
+  }
+}
+
+// Define available tools
+const TOOLS = [
+  {
+    name: 'wb_search',
+    description: 'Search for products on Wildberries marketplace. Results are deduplicated across pages; pass nextCursor to get more. Returns list of products with prices (`price` in currency units, `prices` and per-size prices in kopeks), ratings, feedback counts, sizes, supplier and links.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          minLength: 1,
+          description: 'Search query (e.g., "iPhone 15", "материнская плата AM4")',
+        },
+        ...CATALOG_PROPERTIES,
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Maximum number of results to return (default: session preference, 20 unless changed; max: 300). Several pages are fetched when needed',
+        },
+        cursor: {
+          type: 'string',
+          description: 'nextCursor from a previous wb_search call to continue from where it stopped. Repeat the same query, sort, price and filters',
+        },
+      },
+      required: ['query'],
+    },
+    limits: { limit: 300 },
+    async handler(args, { client, state }) {
+      const { products, total, nextCursor } = await client.search(args.query, {
+        ...catalogOptions(args, state),
+        cursor: args.cursor,
+      }, state);
+
+      return {
+        success: true,
+        query: args.query,
+        total,
+        count: products.length,
+        nextCursor,
+        products,
+      };
+    },
+  },
+  {
+    name: 'wb_product_details',
+    description: 'Get detailed information about a specific product by its ID. Returns full description, characteristics, prices, stock info, and delivery time.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        productId: {
+          type: 'string',
+          pattern: '^\\d+$',
+          description: 'Product ID (nm_id) from Wildberries',
+        },
+      },
+      required: ['productId'],
+    },
+    async handler(args, { client, state }) {
+      const product = await client.getProductDetails(args.productId, state);
+      return { success: true, product };
+    },
+  },
+  {
+    name: 'wb_product_images',
+    description: 'Get product photos. Returns URLs of every photo in all sizes and the selected photos as images (JPEG, resized), so you can check color, condition or packaging.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        productId: {
+          type: 'string',
+          pattern: '^\\d+$',
+          description: 'Product ID (nm_id) from Wildberries',
+        },
+        photos: {
+          type: 'array',
+          items: { type: 'integer', minimum: 1 },
+          maxItems: 10,
+          default: [1],
+          description: 'Photo numbers to return as images, starting from 1 (default: [1]). Pass [] to get only URLs',
+        },
+        size: {
+          type: 'string',
+          enum: ['big', 'c516x688', 'c246x328', 'tm'],
+          default: 'c516x688',
+          description: 'Source image size: big (original), c516x688 (default), c246x328, tm (thumbnail)',
+        },
+        maxSize: {
+          type: 'integer',
+          minimum: 64,
+          description: 'Max width/height of returned images in pixels (capped by the server setting)',
+        },
+      },
+      required: ['productId'],
+    },
+    async handler(args, { client, state }) {
+      const product = await client.getProductDetails(args.productId, state);
+      const photos = [...new Set(args.photos)].filter(index => index <= product.pics);
+
+      const images = await Promise.all(photos.map(index =>
+        client.getProductImage(args.productId, index, { size: args.size, maxSize: args.maxSize })
+          .catch(e => ({ index, error: e.message }))
+      ));
+
+      const info = {
+        success: true,
+        id: product.id,
+        name: product.name,
+        pics: product.pics,
+        images: product.images,
+        returned: photos.map((index, i) => ({
+          index,
+          ...(images[i].error
+            ? { error: images[i].error }
+            : { url: images[i].url, width: images[i].width, height: images[i].height }),
+        })),
+      };
+
+      return {
+        content: [
+          { type: 'text', text: JSON.stringify(info, null, 2) },
+          ...images.filter(image => !image.error).map(image => ({
+            type: 'image',
+            data: image.data,
+            mimeType: image.mimeType,
+          })),
+        ],
+      };
+    },
+  },
+  {
+    name: 'wb_product_reviews',
+    description: 'Get customer reviews of a product: rating distribution, breakdown by size and color, and review texts with pros and cons. Supports sorting, filtering by stars or photos, and paging.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        productId: {
+          type: 'string',
+          pattern: '^\\d+$',
+          description: 'Product ID (nm_id) from Wildberries',
+        },
+        sort: {
+          type: 'string',
+          enum: ['newest', 'useful', 'lowest', 'highest'],
+          default: 'newest',
+          description: 'Sort order: newest (default), useful (most helpful votes), lowest (lowest rating first), highest',
+        },
+        stars: {
+          type: 'array',
+          items: { type: 'integer', minimum: 1, maximum: 5 },
+          description: 'Only reviews with these ratings, e.g. [1, 2]',
+        },
+        withPhoto: {
+          type: 'boolean',
+          default: false,
+          description: 'Only reviews with photos',
+        },
+        thisVariantOnly: {
+          type: 'boolean',
+          default: false,
+          description: 'Only reviews of this exact product, not of its other colors',
+        },
+        page: {
+          type: 'integer',
+          minimum: 1,
+          default: 1,
+          description: 'Page number (default: 1)',
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          default: 20,
+          description: 'Reviews per page (default: 20, max: 100)',
+        },
+      },
+      required: ['productId'],
+    },
+    limits: { limit: 100 },
+    async handler(args, { client, state }) {
+      const reviews = await client.getProductReviews(args.productId, args, state);
+      return { success: true, ...reviews };
+    },
+  },
+  {
+    name: 'wb_product_questions',
+    description: 'Get customer questions about a product and the seller\'s answers (compatibility, sizing, etc.). Supports text search within questions and answers, and paging.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        productId: {
+          type: 'string',
+          pattern: '^\\d+$',
+          description: 'Product ID (nm_id) from Wildberries',
+        },
+        search: {
+          type: 'string',
+          description: 'Only questions containing all these words (in the question or the answer), e.g. "AM4"',
+        },
+        answeredOnly: {
+          type: 'boolean',
+          default: false,
+          description: 'Only questions the seller has answered',
+        },
+        page: {
+          type: 'integer',
+          minimum: 1,
+          default: 1,
+          description: 'Page number (default: 1)',
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          default: 20,
+          description: 'Questions per page (default: 20, max: 100)',
+        },
+      },
+      required: ['productId'],
+    },
+    limits: { limit: 100 },
+    async handler(args, { client, state }) {
+      const questions = await client.getProductQuestions(args.productId, args, state);
+      return { success: true, ...questions };
+    },
+  },
+  {
+    name: 'wb_products_list',
+    description: 'Get information about multiple products by their IDs. Useful for comparing products.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        productIds: {
+          type: 'array',
+          items: { type: 'string', pattern: '^\\d+$' },
+          minItems: 1,
+          maxItems: 100,
+          description: 'Array of product IDs to fetch (max: 100)',
+        },
+      },
+      required: ['productIds'],
+    },
+    async handler(args, { client, state }) {
+      const products = await client.getProductsList(args.productIds, state);
+      return { success: true, count: products.length, products };
+    },
+  },
+  {
+    name: 'wb_compare_products',
+    description: 'Compare 2-10 products side by side: price, rating, seller, delivery and all characteristics aligned by name. Units are normalized (e.g. "16 ГБ" = "16 GB", "25 см" = "250 мм") and rows that differ are marked.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        productIds: {
+          type: 'array',
+          items: { type: 'string', pattern: '^\\d+$' },
+          minItems: 2,
+          maxItems: 10,
+          description: 'Product IDs (nm_id) to compare (2-10)',
+        },
+        onlyDifferences: {
+          type: 'boolean',
+          default: false,
+          description: 'Return only rows where products differ',
+        },
+      },
+      required: ['productIds'],
+    },
+    async handler(args, { client, state }) {
+      const ids = [...new Set(args.productIds)];
+      const products = await Promise.all(ids.map(id => client.getProductDetails(id, state)));
+      return { success: true, ...compareProducts(products, { onlyDifferences: args.onlyDifferences }) };
+    },
+  },
+  {
+    name: 'wb_similar_products',
+    description: 'Get WB recommendations for a product: visually similar products and products frequently bought together. Use it to find alternatives when a product is out of stock or too expensive. Each product has priceDifference to the original.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        productId: {
+          type: 'string',
+          pattern: '^\\d+$',
+          description: 'Product ID (nm_id) from Wildberries',
+        },
+        type: {
+          type: 'string',
+          enum: ['all', 'similar', 'together'],
+          default: 'all',
+          description: 'Which recommendations to return: all (default), similar or together (frequently bought together)',
+        },
+        rankByPrice: {
+          type: 'boolean',
+          default: false,
+          description: 'Order products by price difference to the original, closest first',
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          default: 20,
+          description: 'Max products per list (default: 20, max: 100)',
+        },
+      },
+      required: ['productId'],
+    },
+    limits: { limit: 100 },
+    async handler(args, { client, state }) {
+      const recommendations = await client.getSimilarProducts(args.productId, args, state);
+      return { success: true, ...recommendations };
+    },
+  },
+  {
+    name: 'wb_seller_info',
+    description: 'Get a seller profile by seller ID (supplierId from product data): legal name, registration date, rating, sale count, defect rate and return policy. Use it to vet an unknown seller.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sellerId: {
+          type: 'string',
+          pattern: '^\\d+$',
+          description: 'Seller ID (supplierId)',
+        },
+      },
+      required: ['sellerId'],
+    },
+    async handler(args, { client }) {
+      const seller = await client.getSellerInfo(args.sellerId);
+      return { success: true, seller };
+    },
+  },
+  {
+    name: 'wb_seller_products',
+    description: 'List products sold by a seller, with the same sort, price and paging options as wb_search.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sellerId: {
+          type: 'string',
+          pattern: '^\\d+$',
+          description: 'Seller ID (supplierId)',
+        },
+        ...CATALOG_PROPERTIES,
+      },
+      required: ['sellerId'],
+    },
+    limits: { limit: 100 },
+    async handler(args, { client, state }) {
+      const { products, total } = await client.getSellerProducts(args.sellerId, catalogOptions(args, state), state);
+      return {
+        success: true,
+        sellerId: args.sellerId,
+        total,
+        count: products.length,
+        products,
+      };
+    },
+  },
+  {
+    name: 'wb_brand_products',
+    description: 'Browse a brand\'s own catalog (no resellers or lookalikes from free-text search). Takes a brand ID (brandId from product details) or a brand name, returns brand info and products with sort, price and category filters.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        brandId: {
+          type: 'string',
+          pattern: '^\\d+$',
+          description: 'Brand ID (brandId from product details)',
+        },
+        brandName: {
+          type: 'string',
+          minLength: 1,
+          description: 'Brand name, used when brandId is not known (e.g., "Apple", "Gigabyte")',
+        },
+        categories: {
+          type: 'array',
+          items: { type: 'integer', minimum: 1 },
+          description: 'Only products from these categories (subject IDs)',
+        },
+        ...CATALOG_PROPERTIES,
+      },
+    },
+    limits: { limit: 100 },
+    async handler(args, { client, state }) {
+      if (!args.brandId && !args.brandName) {
+        throw new McpError(ErrorCode.InvalidParams, 'Either brandId or brandName is required');
+      }
+
+      const { brand, products, total } = await client.getBrandProducts(
+        { id: args.brandId, name: args.brandName },
+        { ...catalogOptions(args, state), categories: args.categories },
+        state
+      );
+
+      return {
+        success: true,
+        brand,
+        total,
+        count: products.length,
+        products,
+      };
+    },
+  },
+  {
+    name: 'wb_categories',
+    description: 'Browse the Wildberries category tree. Without arguments returns top-level categories; with a category ID or path (e.g. "Электроника > Ноутбуки") returns that category and its subcategories.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        categoryId: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Category ID from a previous wb_categories call',
+        },
+        path: {
+          type: 'string',
+          minLength: 1,
+          description: 'Category path with ">" between levels, e.g. "Электроника > Ноутбуки и компьютеры"',
+        },
+        depth: {
+          type: 'integer',
+          minimum: 1,
+          default: 1,
+          description: 'Levels of subcategories to include (default: 1, max: 3)',
+        },
+      },
+    },
+    limits: { depth: 3 },
+    async handler(args, { client }) {
+      const result = await client.getCategories({ id: args.categoryId, path: args.path, depth: args.depth });
+      return { success: true, ...result };
+    },
+  },
+  {
+    name: 'wb_category_products',
+    description: 'List products inside a category (by ID or path from wb_categories) with sorting, price range and paging. Use this to shop by category instead of guessing search keywords.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        categoryId: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Category ID from wb_categories',
+        },
+        path: {
+          type: 'string',
+          minLength: 1,
+          description: 'Category path with ">" between levels, e.g. "Электроника > Ноутбуки и компьютеры > Ноутбуки"',
+        },
+        ...CATALOG_PROPERTIES,
+      },
+    },
+    limits: { limit: 100 },
+    async handler(args, { client, state }) {
+      if (!args.categoryId && !args.path) {
+        throw new McpError(ErrorCode.InvalidParams, 'Either categoryId or path is required');
+      }
+
+      const { category, products, total } = await client.getCategoryProducts(
+        { id: args.categoryId, path: args.path },
+        catalogOptions(args, state),
+        state
+      );
+
+      return {
+        success: true,
+        category,
+        total,
+        count: products.length,
+        products,
+      };
+    },
+  },
+  {
+    name: 'wb_set_destination',
+    description: 'Set delivery destination city/address. This affects delivery times and available stock in search results.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        address: {
+          type: 'string',
+          minLength: 1,
+          description: 'City or address for delivery (e.g., "Москва", "Саки, Крым", "Санкт-Петербург")',
+        },
+      },
+      required: ['address'],
+    },
+    async handler(args, { client, state }) {
+      return client.setDestination(args.address, state);
+    },
+  },
+  {
+    name: 'wb_pickup_points',
+    description: 'Find WB pickup points near an address or coordinates: address, working hours, distance and fitting room. Pass select with a point ID to make that point the delivery destination of the session.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        address: {
+          type: 'string',
+          minLength: 1,
+          description: 'Address or city to search near (e.g., "Москва, Тверская 1")',
+        },
+        latitude: {
+          type: 'number',
+          minimum: -90,
+          maximum: 90,
+          description: 'Latitude to search near (use together with longitude instead of address)',
+        },
+        longitude: {
+          type: 'number',
+          minimum: -180,
+          maximum: 180,
+          description: 'Longitude to search near',
+        },
+        radius: {
+          type: 'number',
+          minimum: 0.1,
+          default: 5,
+          description: 'Search radius in kilometers (default: 5, max: 50)',
+        },
+        fittingRoom: {
+          type: 'boolean',
+          default: false,
+          description: 'Only points with a fitting room',
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          default: 10,
+          description: 'Maximum number of points to return (default: 10, max: 50)',
+        },
+        select: {
+          type: 'string',
+          pattern: '^\\d+$',
+          description: 'Pickup point ID to set as the delivery destination',
+        },
+      },
+    },
+    limits: { radius: 50, limit: 50 },
+    async handler(args, { client, state }) {
+      if (args.select) {
+        return client.selectPickupPoint(args.select, state);
+      }
+
+      const hasCoordinates = args.latitude !== undefined && args.longitude !== undefined;
+      if (!args.address && !hasCoordinates) {
+        throw new McpError(ErrorCode.InvalidParams, 'Specify address or latitude and longitude');
+      }
+
+      const result = await client.findPickupPoints(args, state);
+      return { success: true, ...result };
+    },
+  },
+  {
+    name: 'wb_delivery_compare',
+    description: 'Compare a product across several delivery cities in one call: price, available sizes, stock per warehouse and delivery time for each city. Does not change the session destination.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        productId: {
+          type: 'string',
+          pattern: '^\\d+$',
+          description: 'Product ID (nm_id) from Wildberries',
+        },
+        addresses: {
+          type: 'array',
+          items: { type: 'string', minLength: 1 },
+          minItems: 1,
+          maxItems: 10,
+          description: 'Cities or addresses to compare (max: 10), e.g. ["Москва", "Казань", "Новосибирск"]',
+        },
+      },
+      required: ['productId', 'addresses'],
+    },
+    async handler(args, { client, state }) {
+      const comparison = await client.compareDelivery(args.productId, args.addresses, state);
+      return { success: true, ...comparison };
+    },
+  },
+  {
+    name: 'wb_set_preferences',
+    description: 'Set session preferences: price currency and default sort order and result limit for searches. Only affects the current session.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        currency: {
+          type: 'string',
+          enum: Object.keys(CURRENCIES),
+          description: 'Currency for prices (rub, byn, kzt, kgs, amd, uzs)',
+        },
+        sort: {
+          type: 'string',
+          enum: SORT_VALUES,
+          description: 'Default sort order for wb_search',
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 100,
+          description: 'Default number of results for wb_search',
+        },
+      },
+    },
+    async handler(args, { state }) {
+      if (args.currency) state.currency = args.currency;
+      if (args.sort) state.preferences.sort = args.sort;
+      if (args.limit) state.preferences.limit = args.limit;
+
+      return {
+        success: true,
+        address: state.address,
+        dest: state.dest,
+        currency: state.currency,
+        preferences: state.preferences,
+      };
+    },
+  },
+  {
+    name: 'wb_price_history',
+    description: 'Get the recorded price history of a product: price series, min/max/average and whether the current price is a real discount compared to earlier prices. Prices are recorded whenever the server sees a product.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        productId: {
+          type: 'string',
+          pattern: '^\\d+$',
+          description: 'Product ID (nm_id) from Wildberries',
+        },
+        size: {
+          type: 'string',
+          description: 'Size name to get history for (default: lowest price across sizes)',
+        },
+        days: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Only use observations from the last N days (default: all)',
+        },
+        allDestinations: {
+          type: 'boolean',
+          default: false,
+          description: 'Include prices observed for other delivery destinations (default: current destination only)',
+        },
+        refresh: {
+          type: 'boolean',
+          default: true,
+          description: 'Fetch and record the current price before building the history (default: true)',
+        },
+      },
+      required: ['productId'],
+    },
+    async handler(args, { client, state }) {
+      if (args.refresh) {
+        await client.getProductsList([args.productId], state);
+      }
+
+      const history = client.priceHistory.summary(args.productId, {
+        currency: state.currency,
+        dest: args.allDestinations ? null : state.dest,
+        size: args.size,
+        since: args.days ? Date.now() - args.days * 24 * 60 * 60 * 1000 : null,
+      });
+
+      return {
+        success: true,
+        productId: args.productId,
+        currency: state.currency,
+        ...history,
+      };
+    },
+  },
+  {
+    name: 'wb_watch_add',
+    description: 'Watch a product and get notified when its price drops to a target or it is back in stock. Alerts are pushed to this session (SSE stream over HTTP, log messages over stdio). The current destination and currency are used.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        productId: {
+          type: 'string',
+          pattern: '^\\d+$',
+          description: 'Product ID (nm_id) from Wildberries',
+        },
+        targetPrice: {
+          type: 'number',
+          minimum: 0,
+          description: 'Alert when the price is at or below this value (session currency)',
+        },
+        backInStock: {
+          type: 'boolean',
+          default: false,
+          description: 'Alert when the product is in stock',
+        },
+      },
+      required: ['productId'],
+    },
+    async handler(args, { watchlist, sessionId, state }) {
+      requireSession(sessionId);
+      const watch = watchlist.add({
+        owner: sessionId,
+        productId: args.productId,
+        state,
+        targetPrice: args.targetPrice,
+        backInStock: args.backInStock,
+      });
+      return { success: true, watch };
+    },
+  },
+  {
+    name: 'wb_watch_remove',
+    description: 'Remove a product watch by its ID (see wb_watch_list).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        watchId: {
+          type: 'string',
+          minLength: 1,
+          description: 'Watch ID returned by wb_watch_add',
+        },
+      },
+      required: ['watchId'],
+    },
+    async handler(args, { watchlist, sessionId }) {
+      requireSession(sessionId);
+      if (!watchlist.remove(args.watchId, sessionId)) {
+        throw new Error(`Watch ${args.watchId} not found`);
+      }
+      return { success: true, watchId: args.watchId };
+    },
+  },
+  {
+    name: 'wb_watch_list',
+    description: 'List products watched by this session with their conditions and last known price and stock.',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+    async handler(args, { watchlist, sessionId }) {
+      requireSession(sessionId);
+      const watches = watchlist.list(sessionId);
+      return { success: true, count: watches.length, watches };
+    },
+  },
+  {
+    name: 'wb_get_filters',
+    description: 'Get every filter facet for a search query (brand, category, color, size, rating, delivery time, seller, characteristics) with value ids and product counts, plus the price range and sort options. Pass the ids to wb_search `filters`.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          minLength: 1,
+          description: 'Search query to get filters for',
+        },
+      },
+      required: ['query'],
+    },
+    async handler(args, { client, state }) {
+      return client.getFilters(args.query, state);
+    },
+  },
+];
+
+const toolsByName = new Map(TOOLS.map(tool => [tool.name, tool]));
+
+/**
+ * Check a value against a (subset of) JSON Schema
+ * Numbers are accepted where an ID string is expected, since models often send them unquoted
+ * @returns {*} Validated value with defaults applied
+ */
+function validateValue(schema, value, path) {
+  const fail = (reason) => {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid argument "${path}": ${reason}`);
+  };
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        value = String(value);
+      }
+      if (typeof value !== 'string') fail('expected a string');
+      if (schema.minLength && value.trim().length < schema.minLength) fail('must not be empty');
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+      break;
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) fail('expected a number');
+      if (schema.type === 'integer' && !Number.isInteger(value)) fail('expected an integer');
+      if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') fail('expected a boolean');
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) fail('expected an array');
+      if (schema.minItems && value.length < schema.minItems) fail(`must contain at least ${schema.minItems} item(s)`);
+      if (schema.maxItems && value.length > schema.maxItems) fail(`must contain at most ${schema.maxItems} items`);
+      if (schema.items) {
+        value = value.map((item, i) => validateValue(schema.items, item, `${path}[${i}]`));
+      }
+      break;
+
+    case 'object':
+      value = validateObject(schema, value, path);
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  return value;
+}
+
+/**
+ * Validate an object against its schema, applying defaults
+ */
+function validateObject(schema, value, path) {
+  if (value === undefined || value === null) value = {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid argument "${path}": expected an object`);
+  }
+
+  const result = {};
+  const properties = schema.properties || {};
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined || value[key] === null) {
+      throw new McpError(ErrorCode.InvalidParams, `Missing required argument "${path ? `${path}.` : ''}${key}"`);
+    }
+  }
+
+  for (const [key, propSchema] of Object.entries(properties)) {
+    const propPath = path ? `${path}.${key}` : key;
+    if (value[key] === undefined || value[key] === null) {
+      if (propSchema.default !== undefined) result[key] = propSchema.default;
+      continue;
+    }
+    result[key] = validateValue(propSchema, value[key], propPath);
+  }
+
+  // Undeclared keys are dropped unless the schema describes them
+  if (typeof schema.additionalProperties === 'object') {
+    for (const [key, extra] of Object.entries(value)) {
+      if (key in properties || extra === undefined || extra === null) continue;
+      result[key] = validateValue(schema.additionalProperties, extra, path ? `${path}.${key}` : key);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validate tool arguments and apply defaults and limits
+ * @param {Object} tool - Tool definition
+ * @param {Object} args - Raw arguments from the client
+ */
+function prepareArguments(tool, args) {
+  const prepared = validateObject(tool.inputSchema, args, '');
+
+  for (const [key, max] of Object.entries(tool.limits || {})) {
+    if (typeof prepared[key] === 'number') {
+      prepared[key] = Math.min(prepared[key], max);
+    }
+  }
+
+  return prepared;
+}
+
+/**
+ * Tool definitions as advertised in tools/list
+ */
+export function listTools() {
+  return TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+}
+
+/**
+ * Call a tool by name
+ * Invalid arguments and unknown tools throw McpError(InvalidParams),
+ * failures inside the tool are returned as an isError result
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Object} context - Execution context ({ client, state, sessionId, watchlist })
+ */
+export async function callTool(name, args, context) {
+  const tool = toolsByName.get(name);
+  if (!tool) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${name}`);
+  }
+
+  const prepared = prepareArguments(tool, args);
+
+  try {
+    const result = await tool.handler(prepared, context);
+
+    // Handlers returning non-text content build the result themselves
+    if (Array.isArray(result?.content)) return result;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    // Argument problems a handler detects are protocol errors too
+    if (error instanceof McpError) throw error;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: false,
+            error: error.message,
+          }, null, 2),
+        },
+      ],
+      isError: true,
+    };
+  }
+}
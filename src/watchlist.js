@@ -0,0 +1,247 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { dataPath, readJson, writeJsonSync } from './storage.js';
+
+/**
+ * Price watchlist
+ * Periodically checks watched products and emits 'alert' when a condition is met:
+ * price dropped to the target or the product is back in stock
+ * Several server processes may share the file, so it is re-read before every change
+ * and each process only polls the watches of its own sessions
+ */
+class Watchlist extends EventEmitter {
+  /**
+   * @param {import('./wb-client.js').default} client - WB client used for polling
+   * @param {Object} options - Watchlist options
+   * @param {string} options.file - JSON file the watchlist is persisted to
+   * @param {number} options.interval - Poll interval in milliseconds
+   * @param {Function} options.owns - Whether a watch owner is a session of this process
+   */
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.file = options.file || dataPath('watchlist.json');
+    this.interval = options.interval || 15 * 60 * 1000;
+    this.owns = options.owns || (() => true);
+    this.items = this.load();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Add a product to the watchlist
+   * @param {Object} params - Watch parameters
+   * @param {string} params.owner - Session that gets the alerts
+   * @param {string|number} params.productId - Product ID (nm_id)
+   * @param {Object} params.state - Session state (destination and currency are remembered)
+   * @param {number} params.targetPrice - Alert when the price is at or below this value
+   * @param {boolean} params.backInStock - Alert when the product is in stock
+   */
+  add({ owner, productId, state, targetPrice = null, backInStock = false }) {
+    if (!targetPrice && !backInStock) {
+      throw new Error('Specify targetPrice and/or backInStock');
+    }
+
+    const item = {
+      id: crypto.randomUUID().slice(0, 8),
+      owner,
+      nmId: Number(productId),
+      dest: state.dest,
+      address: state.address,
+      currency: state.currency,
+      targetPrice,
+      backInStock,
+      createdAt: new Date().toISOString(),
+      lastCheckedAt: null,
+      lastPrice: null,
+      lastInStock: null,
+      met: { price: false, stock: false }
+    };
+
+    this.update(items => items.push(item));
+    return item;
+  }
+
+  /**
+   * Remove a watch
+   * @param {string} id - Watch ID
+   * @param {string} owner - Session removing the watch
+   * @returns {boolean} Whether a watch was removed
+   */
+  remove(id, owner) {
+    return this.update((items) => {
+      const index = items.findIndex(item => item.id === id && item.owner === owner);
+      if (index === -1) return false;
+
+      items.splice(index, 1);
+      return true;
+    });
+  }
+
+  /**
+   * Remove all watches of a session
+   * @param {string} owner - Session ID
+   */
+  removeOwner(owner) {
+    this.removeOwners(o => o === owner);
+  }
+
+  /**
+   * Remove the watches of every owner matching a predicate
+   * @param {Function} predicate - Receives the owner
+   */
+  removeOwners(predicate) {
+    this.update((items) => {
+      const kept = items.filter(item => !predicate(item.owner));
+      items.splice(0, items.length, ...kept);
+    });
+  }
+
+  /**
+   * Watches of a session
+   * @param {string} owner - Session ID
+   */
+  list(owner) {
+    this.items = this.load();
+    return this.items.filter(item => item.owner === owner);
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.poll().catch(e => console.error(`[Watchlist] Poll failed: ${e.message}`));
+    }, this.interval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Check every watched product once
+   * Products are fetched in batches per destination and currency
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const groups = new Map();
+      for (const item of this.load()) {
+        if (!this.owns(item.owner)) continue;
+        const key = `${item.dest}|${item.currency}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+      }
+
+      for (const [key, items] of groups) {
+        const state = { dest: items[0].dest, currency: items[0].currency };
+        const ids = [...new Set(items.map(item => item.nmId))];
+
+        for (let i = 0; i < ids.length; i += 100) {
+          const products = await this.client.getProductsList(ids.slice(i, i + 100), state);
+          const byId = new Map(products.map(p => [Number(p.id), p]));
+
+          // Alerts are decided against the file as it is now: another process may
+          // have alerted already or the watch may have been removed meanwhile
+          this.update((current) => {
+            for (const item of current) {
+              const product = byId.get(item.nmId);
+              if (product && this.owns(item.owner) && `${item.dest}|${item.currency}` === key) {
+                this.check(item, product);
+              }
+            }
+          });
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Evaluate a watch against fresh product data
+   * An alert fires when a condition becomes met and re-arms once it stops being met
+   */
+  check(item, product) {
+    const price = product.priceFinal;
+    const inStock = (product.inStock || 0) > 0;
+
+    item.lastCheckedAt = new Date().toISOString();
+    item.lastPrice = price;
+    item.lastInStock = product.inStock || 0;
+
+    if (item.targetPrice) {
+      const met = price !== null && price <= item.targetPrice;
+      if (met && !item.met.price) {
+        this.alert(item, product, 'price', `Цена ${product.name} снизилась до ${price} (цель ${item.targetPrice})`);
+      }
+      item.met.price = met;
+    }
+
+    if (item.backInStock) {
+      if (inStock && !item.met.stock) {
+        this.alert(item, product, 'stock', `${product.name} снова в наличии (${product.inStock} шт.)`);
+      }
+      item.met.stock = inStock;
+    }
+  }
+
+  /**
+   * Log and emit an alert for a watch
+   */
+  alert(item, product, reason, message) {
+    console.log(`[Watchlist] ${message}`);
+    this.emit('alert', {
+      watchId: item.id,
+      owner: item.owner,
+      reason,
+      message,
+      product: {
+        id: product.id,
+        name: product.name,
+        priceFinal: product.priceFinal,
+        inStock: product.inStock,
+        url: product.url
+      },
+      targetPrice: item.targetPrice,
+      address: item.address,
+      currency: item.currency
+    });
+  }
+
+  /**
+   * Read the watchlist file
+   */
+  load() {
+    return readJson(this.file, { items: [] }).items || [];
+  }
+
+  /**
+   * Apply a change to the watchlist as it is on disk and persist it
+   * Reading, changing and writing happen synchronously, so changes of this process never interleave
+   * @param {Function} change - Receives the items and may modify them in place
+   * @returns {*} Result of the change
+   */
+  update(change) {
+    this.items = this.load();
+    const result = change(this.items);
+
+    try {
+      writeJsonSync(this.file, { items: this.items });
+    } catch (e) {
+      console.error(`[Watchlist] Failed to save: ${e.message}`);
+    }
+    return result;
+  }
+}
+
+export default Watchlist;
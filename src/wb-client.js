@@ -1,24 +1,150 @@
+import crypto from 'crypto';
 import { chromium } from 'playwright';
+import PagePool from './page-pool.js';
+import BasketResolver from './basket.js';
+import ResponseCache from './cache.js';
+import PriceHistory from './price-history.js';
+import CircuitBreaker from './circuit-breaker.js';
+import RateLimiter from './rate-limiter.js';
+import { dataPath } from './storage.js';
+import { createSessionState, formatPrice } from './session-state.js';
+
+// Max search pages fetched by one search() call
+const MAX_SEARCH_PAGES = 10;
+
+// How many already returned IDs a search cursor remembers for deduplication
+const CURSOR_SEEN_IDS = 200;
+
+// Structured filter names and the catalog query parameters they map to
+const FILTER_PARAMS = {
+  brand: 'fbrand',
+  category: 'xsubject',
+  color: 'fcolor',
+  size: 'fsize',
+  seller: 'fsupplier',
+  deliveryTime: 'fdlvr',
+  rating: 'frating'
+};
+
+// Other facets are passed by their param key; anything else (dest, sort, page, priceU, ...) is ignored
+const FACET_PARAM = /^f[a-z0-9_]+$/i;
+const KNOWN_FACET_PARAMS = new Set(Object.values(FILTER_PARAMS));
+
+// Statuses worth retrying: rate limiting and temporary server errors
+const TRANSIENT_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Image size folders on the basket CDN, largest first
+const IMAGE_SIZES = ['big', 'c516x688', 'c246x328', 'tm'];
+
+/**
+ * Great-circle distance between two points in kilometers
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const rad = deg => (deg * Math.PI) / 180;
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Integer environment variable where 0 is a meaningful value
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value used when the variable is unset or not a number
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+/**
+ * Catch handler that turns a 404 into a fallback value
+ * Outages, exhausted retries and an open circuit breaker are rethrown instead of passing for "not found"
+ * @param {*} fallback - Value returned for a 404
+ */
+function ifNotFound(fallback) {
+  return (error) => {
+    if (error.status === 404) return fallback;
+    throw error;
+  };
+}
 
 /**
  * Wildberries API Client
  * Uses Playwright for browser automation to bypass antibot protection
  */
 class WBClient {
-  constructor() {
+  /**
+   * @param {Object} options - Client options
+   * @param {number} options.poolSize - Number of browser pages used in parallel
+   * @param {number} options.queueLimit - Max requests waiting for a free page
+   * @param {number} options.volatileTtl - Cache TTL for prices and stocks, seconds
+   * @param {number} options.staticTtl - Cache TTL for descriptions and characteristics, seconds
+   * @param {string} options.cacheFile - File to persist the response cache to
+   * @param {number} options.imageMaxSize - Max width/height of images returned as content, pixels
+   * @param {number} options.retryAttempts - Retries of a request after a transient failure
+   */
+  constructor(options = {}) {
     this.browser = null;
     this.context = null;
-    this.page = null;
+    this.pool = null;
     this.isInitialized = false;
-    this.dest = '-1255987'; // Default destination (Moscow)
+    this.initPromise = null;
+    this.poolSize = options.poolSize || parseInt(process.env.WB_PAGE_POOL_SIZE) || 3;
+    this.queueLimit = options.queueLimit || parseInt(process.env.WB_PAGE_QUEUE_LIMIT) || 50;
+    this.defaultState = createSessionState(); // Used when the caller has no session
+    this.basket = new BasketResolver();
+    this.categoryIndex = null; // Lookup tables built from the cached category menu
+    this.pickupIndex = null; // Flat list built from the cached pickup point file
+    this.imageMaxSize = options.imageMaxSize || parseInt(process.env.WB_IMAGE_MAX_SIZE) || 1024;
+
+    // TTLs in milliseconds per kind of data, 0 disables caching of that kind
+    this.cacheTtl = {
+      volatile: (options.volatileTtl ?? envInt('WB_CACHE_TTL_VOLATILE', 60)) * 1000,
+      static: (options.staticTtl ?? envInt('WB_CACHE_TTL_STATIC', 86400)) * 1000
+    };
+    const cacheFile = options.cacheFile || process.env.WB_CACHE_FILE;
+    this.cache = new ResponseCache({
+      maxEntries: parseInt(process.env.WB_CACHE_MAX_ENTRIES) || 2000,
+      file: cacheFile ? dataPath(cacheFile) : null
+    });
+
+    // Retries of transient failures: attempts after the first one, backoff base and cap in ms
+    this.retry = {
+      attempts: options.retryAttempts ?? (parseInt(process.env.WB_RETRY_ATTEMPTS) || 3),
+      baseDelay: 500,
+      maxDelay: 10000
+    };
+    this.requestTimeout = (parseInt(process.env.WB_REQUEST_TIMEOUT) || 15) * 1000;
+    this.limiter = new RateLimiter({ perSecond: parseInt(process.env.WB_REQUESTS_PER_SECOND) || 10 });
+    this.breaker = new CircuitBreaker({
+      threshold: parseInt(process.env.WB_CIRCUIT_THRESHOLD) || 10,
+      cooldown: (parseInt(process.env.WB_CIRCUIT_COOLDOWN) || 30) * 1000
+    });
+
+    // Unchanged prices are re-recorded at most once per interval (minutes)
+    this.priceHistory = new PriceHistory({
+      minInterval: (parseInt(process.env.WB_PRICE_HISTORY_INTERVAL) || 60) * 60 * 1000
+    });
   }
 
   /**
    * Initialize browser instance
+   * Concurrent callers share one launch
    */
   async init() {
     if (this.isInitialized) return;
+    if (!this.initPromise) {
+      this.initPromise = this.launch().finally(() => {
+        this.initPromise = null;
+      });
+    }
+    return this.initPromise;
+  }
 
+  /**
+   * Launch browser, create page pool and warm up cookies
+   */
+  async launch() {
     this.browser = await chromium.launch({
       headless: true,
       args: [
@@ -29,77 +155,569 @@ class WBClient {
       ]
     });
 
-    this.context = await this.browser.newContext({
-      userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      viewport: { width: 1920, height: 1080 },
-      locale: 'ru-RU',
-      timezoneId: 'Europe/Moscow'
-    });
+    try {
+      this.context = await this.browser.newContext({
+        userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        viewport: { width: 1920, height: 1080 },
+        locale: 'ru-RU',
+        timezoneId: 'Europe/Moscow'
+      });
 
-    this.page = await this.context.newPage();
+      // Remove webdriver detection
+      await this.context.addInitScript(() => {
+        delete navigator.__proto__.webdriver;
+        Object.defineProperty(navigator, 'webdriver', { get: () => false });
+      });
 
-    // Remove webdriver detection
-    await this.page.addInitScript(() => {
-      delete navigator.__proto__.webdriver;
-      Object.defineProperty(navigator, 'webdriver', { get: () => false });
-    });
+      // Every page starts on the main site so API fetches are same-origin
+      this.pool = new PagePool(this.context, {
+        size: this.poolSize,
+        maxQueue: this.queueLimit,
+        setupPage: async (page) => {
+          await page.goto('https://www.wildberries.ru', {
+            waitUntil: 'domcontentloaded',
+            timeout: 60000
+          });
+        }
+      });
 
-    // Load main page to get cookies
-    await this.page.goto('https://www.wildberries.ru', {
-      waitUntil: 'domcontentloaded',
-      timeout: 60000
-    });
-    await new Promise(r => setTimeout(r, 5000));
+      // Load main page once to get cookies
+      await this.pool.use(() => new Promise(r => setTimeout(r, 5000)));
+    } catch (error) {
+      // Do not leave a browser process behind, the next init() launches a new one
+      await this.pool?.close();
+      await this.browser.close().catch(() => {});
+      this.browser = null;
+      this.context = null;
+      this.pool = null;
+      throw error;
+    }
 
     this.isInitialized = true;
-    console.log('[WB Client] Initialized successfully');
+    console.log(`[WB Client] Initialized successfully (page pool: ${this.poolSize})`);
   }
 
   /**
    * Close browser instance
    */
   async close() {
+    await this.cache.flush().catch(e => console.error(`[WB Client] Failed to save cache: ${e.message}`));
+
     if (this.browser) {
+      await this.pool?.close();
       await this.browser.close();
       this.browser = null;
       this.context = null;
-      this.page = null;
+      this.pool = null;
       this.isInitialized = false;
     }
   }
 
+  /**
+   * Client statistics for health reporting
+   */
+  stats() {
+    return {
+      initialized: this.isInitialized,
+      pagePool: this.pool ? this.pool.stats() : null,
+      cache: this.cache.stats(),
+      rateLimiter: this.limiter.stats(),
+      circuitBreaker: this.breaker.stats()
+    };
+  }
+
+  /**
+   * Common query parameters for card APIs
+   * @param {Object} state - Session state (destination, currency)
+   */
+  cardParams(state = this.defaultState) {
+    return `appType=1&curr=${state.currency}&dest=${state.dest}&spp=30&lang=ru`;
+  }
+
   /**
    * Make API request through browser context
+   * Transient failures (429, 5xx, timeouts) are retried with exponential backoff and jitter,
+   * requests are spaced by the global rate limiter and fail fast while the circuit breaker is open
+   * @param {string} url - API URL
+   * @param {Object} options - Request options
+   * @param {string} options.cache - Cache kind: 'volatile' (prices, stocks), 'static' (card content) or none
+   * @param {Object} options.state - Session state the response depends on (destination, currency)
+   * @param {boolean} options.probe - Guessing request (basket hosts): misses (404, 403) are expected and not logged
    */
-  async apiRequest(url) {
+  async apiRequest(url, options = {}) {
+    const { cache, state, probe = false } = options;
+    const cacheKey = state ? `${url}|dest=${state.dest}|curr=${state.currency}` : url;
+
+    if (cache) {
+      const cached = this.cache.get(cacheKey);
+      if (cached !== undefined) return cached;
+    }
+
     await this.init();
 
-    try {
-      const response = await this.page.evaluate(async (apiUrl) => {
-        const resp = await fetch(apiUrl);
-        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-        return await resp.json();
-      }, url);
-      return response;
-    } catch (error) {
-      console.error(`[WB Client] API request failed: ${error.message}`);
-      throw error;
+    for (let attempt = 0; ; attempt++) {
+      this.breaker.check();
+      await this.limiter.take();
+
+      let result;
+      try {
+        result = await this.pool.use(page => page.evaluate(async ({ apiUrl, timeout }) => {
+          const controller = new AbortController();
+          const timer = setTimeout(() => controller.abort(), timeout);
+          try {
+            const resp = await fetch(apiUrl, { signal: controller.signal });
+            if (!resp.ok) {
+              return { status: resp.status, retryAfter: resp.headers.get('retry-after') };
+            }
+            return { status: resp.status, data: await resp.json() };
+          } catch (e) {
+            // Network errors, timeouts and non-JSON answers (antibot pages)
+            return { status: 0, error: e.name === 'AbortError' ? 'timeout' : e.message };
+          } finally {
+            clearTimeout(timer);
+          }
+        }, { apiUrl: url, timeout: this.requestTimeout }));
+      } catch (error) {
+        console.error(`[WB Client] API request failed: ${error.message}`);
+        throw error;
+      }
+
+      if (result.data !== undefined) {
+        this.breaker.success();
+        if (cache) {
+          this.cache.set(cacheKey, result.data, this.cacheTtl[cache]);
+        }
+        return result.data;
+      }
+
+      const reason = result.status ? `HTTP ${result.status}` : result.error;
+      const transient = result.status === 0 || TRANSIENT_STATUSES.has(result.status);
+
+      // Any other status is a normal answer from WB (e.g. 404 for a missing product)
+      if (transient) {
+        this.breaker.failure(reason);
+      } else {
+        this.breaker.success();
+      }
+
+      if (!transient || attempt >= this.retry.attempts || this.breaker.isOpen) {
+        if (transient || !probe) console.error(`[WB Client] API request failed: ${reason}`);
+        const error = new Error(reason);
+        error.status = result.status;
+        throw error;
+      }
+
+      const delay = this.backoffDelay(attempt, result.retryAfter);
+      console.log(`[WB Client] ${reason}, retry ${attempt + 1}/${this.retry.attempts} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Open a site page under the same rate limit and circuit breaker as API requests
+   * @param {import('playwright').Page} page - Page from the pool
+   * @param {string} url - Page URL
+   */
+  async navigate(page, url) {
+    this.breaker.check();
+    await this.limiter.take();
+    await page.goto(url, {
+      waitUntil: 'domcontentloaded',
+      timeout: 60000
+    });
+  }
+
+  /**
+   * Delay before a retry: exponential backoff with jitter, at least what Retry-After asks for
+   * @param {number} attempt - Number of the failed attempt, starting from 0
+   * @param {string} retryAfter - Retry-After header value in seconds
+   */
+  backoffDelay(attempt, retryAfter) {
+    const exponential = Math.min(this.retry.maxDelay, this.retry.baseDelay * 2 ** attempt);
+    const jittered = exponential / 2 + Math.random() * (exponential / 2);
+    const requested = (parseInt(retryAfter) || 0) * 1000;
+    return Math.round(Math.min(this.retry.maxDelay, Math.max(jittered, requested)));
+  }
+
+  /**
+   * Build the priceU filter value (kopeks, "min;max")
+   */
+  priceRange(priceMin, priceMax) {
+    if (!priceMin && !priceMax) return null;
+    const min = (priceMin || 0) * 100;
+    const max = (priceMax || 999999999) * 100;
+    return `${min};${max}`;
+  }
+
+  /**
+   * Build catalog query parameters from structured filters
+   * Known names are translated (brand -> fbrand, ...), raw facet params (f14177451, ...) are passed as is
+   * @param {Object} filters - { brand: [ids], category: [ids], rating: true, f14177451: [ids], ... }
+   * @returns {string} Query string fragment starting with "&" or an empty string
+   */
+  filterParams(filters) {
+    if (!filters) return '';
+
+    let params = '';
+    for (const [name, value] of Object.entries(filters)) {
+      const param = FILTER_PARAMS[name] || name;
+      if ((!KNOWN_FACET_PARAMS.has(param) && !FACET_PARAM.test(param)) || value === false || value === null || value === undefined) continue;
+
+      const values = value === true ? [1] : [].concat(value);
+      if (values.length === 0) continue;
+      params += `&${param}=${encodeURIComponent(values.join(';'))}`;
+    }
+    return params;
+  }
+
+  /**
+   * Record prices of products returned by card/catalog APIs in the price history
+   * @param {Array<Object>} products - Raw products with sizes[].price in kopeks
+   * @param {Object} state - Session state (destination, currency)
+   */
+  recordPrices(products, state = this.defaultState) {
+    const observations = [];
+    for (const p of products || []) {
+      for (const s of p.sizes || []) {
+        if (!s.price?.product) continue;
+        observations.push({
+          nmId: p.id,
+          size: s.name || s.origName || null,
+          dest: state.dest,
+          currency: state.currency,
+          price: s.price.product,
+          basic: s.price.basic
+        });
+      }
     }
+    this.priceHistory.record(observations);
+  }
+
+  /**
+   * Product image URL on the basket CDN
+   * @param {string|number} nmId - Product ID
+   * @param {number} index - Photo number, starting from 1
+   * @param {string} size - Image size folder (big, c516x688, c246x328, tm)
+   */
+  imageUrl(nmId, index = 1, size = 'c246x328') {
+    return `${this.basket.baseUrl(nmId)}/images/${size}/${index}.webp`;
+  }
+
+  /**
+   * URLs of every photo of a product in every size
+   * @param {string|number} nmId - Product ID
+   * @param {number} count - Number of photos (pics)
+   * @returns {Array<Object>} { index, big, c516x688, c246x328, tm } per photo
+   */
+  imageUrls(nmId, count) {
+    return Array.from({ length: count || 0 }, (_, i) => ({
+      index: i + 1,
+      ...Object.fromEntries(IMAGE_SIZES.map(size => [size, this.imageUrl(nmId, i + 1, size)]))
+    }));
+  }
+
+  /**
+   * Download a product photo and re-encode it as JPEG no larger than maxSize on either side
+   * Runs in the browser so the CDN sees a regular page request and the canvas does the resizing
+   * @param {string|number} nmId - Product ID
+   * @param {number} index - Photo number, starting from 1
+   * @param {Object} options - Image options
+   * @param {string} options.size - Source size folder (big, c516x688, c246x328, tm)
+   * @param {number} options.maxSize - Max width/height in pixels (capped by imageMaxSize)
+   * @returns {Promise<{data: string, mimeType: string, width: number, height: number, url: string}>}
+   */
+  async getProductImage(nmId, index = 1, options = {}) {
+    const { size = 'c516x688' } = options;
+    const maxSize = Math.min(options.maxSize || this.imageMaxSize, this.imageMaxSize);
+
+    await this.init();
+
+    const filePath = `images/${size}/${index}.webp`;
+    this.breaker.check();
+    const image = await this.basket.fetch(nmId, filePath, async (url) => {
+      await this.limiter.take();
+      const result = await this.pool.use(page => page.evaluate(async ({ imageUrl, limit, timeout }) => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        try {
+          const resp = await fetch(imageUrl, { signal: controller.signal });
+          if (!resp.ok) return { status: resp.status };
+
+          const bitmap = await createImageBitmap(await resp.blob());
+          const scale = Math.min(1, limit / Math.max(bitmap.width, bitmap.height));
+          const width = Math.round(bitmap.width * scale);
+          const height = Math.round(bitmap.height * scale);
+
+          const canvas = new OffscreenCanvas(width, height);
+          canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+          const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.85 });
+
+          const bytes = new Uint8Array(await blob.arrayBuffer());
+          let binary = '';
+          for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+          }
+          return { status: resp.status, image: { data: btoa(binary), width, height } };
+        } catch (e) {
+          // Network errors, timeouts and undecodable images
+          return { status: 0, error: e.name === 'AbortError' ? 'timeout' : e.message };
+        } finally {
+          clearTimeout(timer);
+        }
+      }, { imageUrl: url, limit: maxSize, timeout: this.requestTimeout }));
+
+      if (result.image) return result.image;
+
+      // The status tells the basket resolver whether to try the next host
+      const error = new Error(result.status ? `HTTP ${result.status}` : result.error);
+      error.status = result.status;
+      throw error;
+    });
+
+    return {
+      ...image,
+      mimeType: 'image/jpeg',
+      url: `${this.basket.baseUrl(nmId)}/${filePath}`
+    };
+  }
+
+  /**
+   * Map a product from WB catalog/card JSON to the structure returned by tools
+   * Prices in `prices` and `sizes` stay in kopeks, `price` is in currency units
+   * @param {Object} p - Product from the API
+   * @param {Object} state - Session state (currency)
+   */
+  mapProduct(p, state = this.defaultState) {
+    const firstPrice = p.sizes?.find(s => s.price)?.price;
+    const price = firstPrice?.product ? firstPrice.product / 100 : null;
+
+    return {
+      id: p.id,
+      name: p.name,
+      brand: p.brand,
+      brandId: p.brandId,
+      supplier: p.supplier,
+      supplierId: p.supplierId,
+      supplierRating: p.supplierRating,
+      rating: p.reviewRating ?? p.rating,
+      feedbacks: p.nmFeedbacks ?? p.feedbacks,
+      price,
+      priceFormatted: formatPrice(price, state.currency),
+      prices: firstPrice ? {
+        basic: firstPrice.basic,
+        product: firstPrice.product
+      } : null,
+      sizes: p.sizes?.map(s => ({
+        name: s.name || s.origName || 'One size',
+        optionId: s.optionId,
+        prices: s.price ? { basic: s.price.basic, product: s.price.product } : null,
+        inStock: s.stocks ? s.stocks.reduce((sum, st) => sum + (st.qty || 0), 0) : null
+      })) || [],
+      inStock: p.totalQuantity,
+      deliveryTime: p.time1 && p.time2 ? `${p.time1}-${p.time2} часов` : null,
+      image: p.pics ? this.imageUrl(p.id) : null,
+      pics: p.pics || 0,
+      url: `https://www.wildberries.ru/catalog/${p.id}/detail.aspx`
+    };
   }
 
   /**
    * Search products
+   * Uses the JSON search API, falls back to scraping the search page if it fails.
+   * Fetches as many pages as needed for `limit`, skips products repeated across pages
+   * and returns a cursor to continue from where this call stopped
    * @param {string} query - Search query
    * @param {Object} options - Search options
    * @param {string} options.sort - Sort order: popular, rate, priceup, pricedown, newly
-   * @param {number} options.page - Page number
+   * @param {number} options.page - Page number to start from (ignored with a cursor)
    * @param {number} options.priceMin - Minimum price in rubles
    * @param {number} options.priceMax - Maximum price in rubles
    * @param {number} options.limit - Max results to return
+   * @param {Object} options.filters - Structured facet filters (see filterParams())
+   * @param {string} options.cursor - Cursor returned by a previous call with the same parameters
+   * @param {Object} state - Session state (destination, currency)
+   * @returns {Promise<{products: Array, total: number|null, nextCursor: string|null}>}
    */
-  async search(query, options = {}) {
+  async search(query, options = {}, state = this.defaultState) {
     await this.init();
 
+    // Decode before searching so a bad cursor is reported instead of triggering the fallback
+    const signature = this.searchSignature(query, options, state);
+    const cursor = options.cursor ? this.decodeCursor(options.cursor, signature) : null;
+
+    console.log(`[WB Client] Searching: ${query}`);
+
+    try {
+      return await this.searchJson(query, { ...options, cursor, signature }, state);
+    } catch (e) {
+      // Wildberries is blocking us, loading the search page would only prolong it
+      if (this.breaker.isOpen) throw e;
+      console.error(`[WB Client] JSON search failed (${e.message}), falling back to search page`);
+      const products = await this.searchDom(query, { ...options, page: cursor?.page ?? options.page }, state);
+      return { products, total: null, nextCursor: null };
+    }
+  }
+
+  /**
+   * Search products through the JSON search API
+   * @param {string} query - Search query
+   * @param {Object} options - Search options (see search()), with the decoded cursor and signature
+   * @param {Object} state - Session state (destination, currency)
+   */
+  async searchJson(query, options = {}, state = this.defaultState) {
+    const { limit = 20, cursor = null, signature } = options;
+    const url = `https://www.wildberries.ru/__internal/u-search/exactmatch/ru/common/v18/search?ab_testing=false&${this.cardParams(state)}&hide_dtype=13&query=${encodeURIComponent(query)}&resultset=catalog&suppressSpellcheck=false`;
+
+    let page = cursor?.page ?? options.page ?? 1;
+    let offset = cursor?.offset ?? 0;
+    const seen = new Set(cursor?.seen);
+    const products = [];
+    let total = null;
+    let pageSize = 0;
+    let exhausted = false;
+    let duplicates = 0;
+
+    for (let fetched = 0; products.length < limit && fetched < MAX_SEARCH_PAGES; fetched++) {
+      const result = await this.fetchCatalog(url, { ...options, page, limit: Infinity }, state);
+      total = total ?? result.total;
+      pageSize = Math.max(pageSize, result.products.length);
+
+      if (result.products.length === 0) {
+        exhausted = true;
+        break;
+      }
+
+      let index = offset;
+      for (; index < result.products.length && products.length < limit; index++) {
+        const product = result.products[index];
+        if (seen.has(product.id)) {
+          duplicates++;
+          continue;
+        }
+        seen.add(product.id);
+        products.push(product);
+      }
+
+      // Continue inside this page next time if it was not used up
+      if (index < result.products.length) {
+        offset = index;
+        break;
+      }
+
+      // A short page is the last one
+      if (result.products.length < pageSize) {
+        exhausted = true;
+        break;
+      }
+      page++;
+      offset = 0;
+    }
+
+    console.log(`[WB Client] Found ${products.length} products (${duplicates} duplicates skipped)`);
+
+    return {
+      products,
+      total,
+      nextCursor: exhausted ? null : this.encodeCursor({
+        signature,
+        page,
+        offset,
+        seen: [...seen].slice(-CURSOR_SEEN_IDS)
+      })
+    };
+  }
+
+  /**
+   * Short hash of the parameters a search cursor is valid for
+   */
+  searchSignature(query, options, state) {
+    const { sort = 'popular', priceMin = null, priceMax = null, filters = null } = options;
+    return crypto.createHash('sha1')
+      .update(JSON.stringify([query, sort, priceMin, priceMax, filters, state.dest, state.currency]))
+      .digest('base64url')
+      .slice(0, 10);
+  }
+
+  /**
+   * Encode search position into an opaque cursor
+   */
+  encodeCursor({ signature, page, offset, seen }) {
+    return Buffer.from(JSON.stringify({ v: 1, q: signature, p: page, o: offset, s: seen })).toString('base64url');
+  }
+
+  /**
+   * Decode a search cursor and check it belongs to the same search
+   */
+  decodeCursor(cursor, signature) {
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (e) {
+      throw new Error('Invalid cursor');
+    }
+
+    if (data?.v !== 1 || !Number.isInteger(data.p) || !Number.isInteger(data.o)) {
+      throw new Error('Invalid cursor');
+    }
+    if (data.q !== signature) {
+      throw new Error('Cursor belongs to a different search: repeat the query, sort, price, filters and destination of the call that returned it');
+    }
+
+    return { page: data.p, offset: data.o, seen: Array.isArray(data.s) ? data.s : [] };
+  }
+
+  /**
+   * Fetch one page of a JSON catalog (search, seller, brand, category)
+   * @param {string} baseUrl - Catalog URL without sort, page and price parameters
+   * @param {Object} options - Catalog options
+   * @param {string} options.sort - Sort order: popular, rate, priceup, pricedown, newly
+   * @param {number} options.page - Page number
+   * @param {number} options.priceMin - Minimum price
+   * @param {number} options.priceMax - Maximum price
+   * @param {number} options.limit - Max products to return
+   * @param {Object} options.filters - Structured facet filters (see filterParams())
+   * @param {Object} state - Session state (destination, currency)
+   * @returns {Promise<{products: Array, total: number|null}>}
+   */
+  async fetchCatalog(baseUrl, options = {}, state = this.defaultState) {
+    const {
+      sort = 'popular',
+      page = 1,
+      priceMin = null,
+      priceMax = null,
+      limit = 20
+    } = options;
+
+    let url = `${baseUrl}&sort=${sort}&page=${page}${this.filterParams(options.filters)}`;
+
+    const priceU = this.priceRange(priceMin, priceMax);
+    if (priceU) {
+      url += `&priceU=${encodeURIComponent(priceU)}`;
+    }
+
+    const data = await this.apiRequest(url, { cache: 'volatile', state });
+
+    // Older API versions wrap the result in `data`
+    const rawProducts = data?.products ?? data?.data?.products;
+    if (!Array.isArray(rawProducts)) {
+      throw new Error('Unexpected catalog response');
+    }
+
+    this.recordPrices(rawProducts, state);
+
+    return {
+      products: rawProducts.slice(0, limit).map(p => this.mapProduct(p, state)),
+      total: data?.total ?? data?.data?.total ?? null
+    };
+  }
+
+  /**
+   * Search products by scraping the HTML search page
+   * @param {string} query - Search query
+   * @param {Object} options - Search options (see search())
+   * @param {Object} state - Session state (destination, currency)
+   */
+  async searchDom(query, options = {}, state = this.defaultState) {
     const {
       sort = 'popular',
       page = 1,
@@ -109,77 +727,76 @@ class WBClient {
     } = options;
 
     // Build search URL
-    let url = `https://www.wildberries.ru/catalog/0/search.aspx?search=${encodeURIComponent(query)}&sort=${sort}&page=${page}`;
+    let url = `https://www.wildberries.ru/catalog/0/search.aspx?search=${encodeURIComponent(query)}&sort=${sort}&page=${page}${this.filterParams(options.filters)}`;
 
-    if (priceMin || priceMax) {
-      const min = (priceMin || 0) * 100;
-      const max = (priceMax || 999999999) * 100;
-      url += `&priceU=${min}%3B${max}`;
+    const priceU = this.priceRange(priceMin, priceMax);
+    if (priceU) {
+      url += `&priceU=${encodeURIComponent(priceU)}`;
     }
 
-    console.log(`[WB Client] Searching: ${query}`);
+    // Navigate a page of its own so parallel searches don't collide
+    const products = await this.pool.use(async (page) => {
+      await this.navigate(page, url);
 
-    await this.page.goto(url, {
-      waitUntil: 'domcontentloaded',
-      timeout: 60000
-    });
+      // Wait for products to load
+      try {
+        await page.waitForSelector('.product-card', { timeout: 30000 });
+      } catch (e) {
+        console.log('[WB Client] No products found or timeout');
+        return null;
+      }
 
-    // Wait for products to load
-    try {
-      await this.page.waitForSelector('.product-card', { timeout: 30000 });
-    } catch (e) {
-      console.log('[WB Client] No products found or timeout');
-      return [];
-    }
-
-    await new Promise(r => setTimeout(r, 3000));
-
-    // Extract products from DOM
-    const products = await this.page.evaluate((maxResults) => {
-      const cards = document.querySelectorAll('.product-card');
-      return Array.from(cards).slice(0, maxResults).map(card => {
-        const id = card.getAttribute('data-nm-id');
-        const link = card.querySelector('a')?.href;
-        const nameEl = card.querySelector('[class*="product-card__name"]');
-        const brandEl = card.querySelector('[class*="product-card__brand"]');
-        const imgEl = card.querySelector('img');
-
-        // Try multiple price selectors
-        let priceNum = null;
-        let priceText = '';
-
-        // Try wallet price first (actual price)
-        const walletPrice = card.querySelector('[class*="price-block__wallet-price"]');
-        const finalPrice = card.querySelector('[class*="price-block__final-price"]');
-        const anyPrice = card.querySelector('[class*="price"]');
-
-        const priceEl = walletPrice || finalPrice || anyPrice;
-        if (priceEl) {
-          priceText = priceEl.textContent?.trim() || '';
-          // Extract number from price text
-          const matches = priceText.match(/(\d[\d\s]*)/g);
-          if (matches) {
-            for (const match of matches) {
-              const num = parseInt(match.replace(/\s/g, ''));
-              if (num > 0 && num < 100000000) {
-                priceNum = num;
-                break;
+      await new Promise(r => setTimeout(r, 3000));
+
+      // Extract products from DOM
+      return page.evaluate((maxResults) => {
+        const cards = document.querySelectorAll('.product-card');
+        return Array.from(cards).slice(0, maxResults).map(card => {
+          const id = card.getAttribute('data-nm-id');
+          const link = card.querySelector('a')?.href;
+          const nameEl = card.querySelector('[class*="product-card__name"]');
+          const brandEl = card.querySelector('[class*="product-card__brand"]');
+          const imgEl = card.querySelector('img');
+
+          // Try multiple price selectors
+          let priceNum = null;
+          let priceText = '';
+
+          // Try wallet price first (actual price)
+          const walletPrice = card.querySelector('[class*="price-block__wallet-price"]');
+          const finalPrice = card.querySelector('[class*="price-block__final-price"]');
+          const anyPrice = card.querySelector('[class*="price"]');
+
+          const priceEl = walletPrice || finalPrice || anyPrice;
+          if (priceEl) {
+            priceText = priceEl.textContent?.trim() || '';
+            // Extract number from price text
+            const matches = priceText.match(/(\d[\d\s]*)/g);
+            if (matches) {
+              for (const match of matches) {
+                const num = parseInt(match.replace(/\s/g, ''));
+                if (num > 0 && num < 100000000) {
+                  priceNum = num;
+                  break;
+                }
               }
             }
           }
-        }
 
-        return {
-          id,
-          url: link,
-          name: nameEl?.textContent?.trim(),
-          brand: brandEl?.textContent?.trim()?.replace(/\s*\/.*/, ''),
-          price: priceNum,
-          priceFormatted: priceNum ? `${priceNum.toLocaleString('ru-RU')} ₽` : null,
-          image: imgEl?.src
-        };
-      });
-    }, limit);
+          return {
+            id,
+            url: link,
+            name: nameEl?.textContent?.trim(),
+            brand: brandEl?.textContent?.trim()?.replace(/\s*\/.*/, ''),
+            price: priceNum,
+            priceFormatted: priceNum ? `${priceNum.toLocaleString('ru-RU')} ₽` : null,
+            image: imgEl?.src
+          };
+        });
+      }, limit);
+    });
+
+    if (!products) return [];
 
     // Fetch prices via API for products without price
     const productsWithoutPrice = products.filter(p => !p.price && p.id);
@@ -187,10 +804,11 @@ class WBClient {
       console.log(`[WB Client] Fetching prices for ${productsWithoutPrice.length} products via API`);
       try {
         const ids = productsWithoutPrice.map(p => p.id).join(';');
-        const apiUrl = `https://www.wildberries.ru/__internal/u-card/cards/v4/list?appType=1&curr=rub&dest=${this.dest}&spp=30&lang=ru&nm=${ids}`;
-        const apiData = await this.apiRequest(apiUrl);
+        const apiUrl = `https://www.wildberries.ru/__internal/u-card/cards/v4/list?${this.cardParams(state)}&nm=${ids}`;
+        const apiData = await this.apiRequest(apiUrl, { cache: 'volatile', state });
 
         if (apiData?.products) {
+          this.recordPrices(apiData.products, state);
           const priceMap = {};
           for (const p of apiData.products) {
             const price = p.sizes?.[0]?.price?.product;
@@ -203,7 +821,7 @@ class WBClient {
           for (const product of products) {
             if (!product.price && priceMap[product.id]) {
               product.price = priceMap[product.id];
-              product.priceFormatted = `${product.price.toLocaleString('ru-RU')} ₽`;
+              product.priceFormatted = formatPrice(product.price, state.currency);
             }
           }
         }
@@ -212,6 +830,19 @@ class WBClient {
       }
     }
 
+    // Prices scraped from the page have no size information
+    this.priceHistory.record(products.filter(p => p.price && p.id).map(p => ({
+      nmId: p.id,
+      dest: state.dest,
+      currency: state.currency,
+      price: Math.round(p.price * 100)
+    })));
+
+    // Lazy-loaded cards often have a placeholder src, the CDN URL is built from the ID instead
+    for (const product of products) {
+      if (product.id) product.image = this.imageUrl(product.id);
+    }
+
     console.log(`[WB Client] Found ${products.length} products`);
     return products;
   }
@@ -219,46 +850,35 @@ class WBClient {
   /**
    * Get product details by ID
    * @param {string|number} productId - Product ID (nm_id)
+   * @param {Object} state - Session state (destination, currency)
    */
-  async getProductDetails(productId) {
+  async getProductDetails(productId, state = this.defaultState) {
     await this.init();
 
     console.log(`[WB Client] Getting details for product ${productId}`);
 
     // Get basic product data from API
-    const detailUrl = `https://www.wildberries.ru/__internal/u-card/cards/v4/detail?appType=1&curr=rub&dest=${this.dest}&spp=30&lang=ru&nm=${productId}`;
+    const detailUrl = `https://www.wildberries.ru/__internal/u-card/cards/v4/detail?${this.cardParams(state)}&nm=${productId}`;
 
-    let detailData = null;
+    const detailData = await this.apiRequest(detailUrl, { cache: 'volatile', state });
+
+    // Get full card info from basket CDN
+    let cardData = null;
     try {
-      detailData = await this.apiRequest(detailUrl);
+      cardData = await this.basket.fetch(productId, 'info/ru/card.json', url => this.apiRequest(url, { cache: 'static', probe: true }));
     } catch (e) {
-      console.error('[WB Client] Failed to get detail data');
+      console.error(`[WB Client] ${e.message}`);
     }
 
-    // Get full card info from basket CDN
-    const vol = Math.floor(productId / 100000);
-    const part = Math.floor(productId / 1000);
-
-    let cardData = null;
-    // Try different basket numbers
-    for (let b = 1; b <= 36; b++) {
-      try {
-        const bn = b.toString().padStart(2, '0');
-        const cardUrl = `https://basket-${bn}.wbbasket.ru/vol${vol}/part${part}/${productId}/info/ru/card.json`;
-        cardData = await this.apiRequest(cardUrl);
-        if (cardData) break;
-      } catch (e) {
-        // Try next basket
-      }
-    }
-
-    const product = detailData?.products?.[0];
-    if (!product) {
-      throw new Error(`Product ${productId} not found`);
-    }
+    const product = detailData?.products?.[0];
+    if (!product) {
+      throw new Error(`Product ${productId} not found`);
+    }
+    this.recordPrices([product], state);
 
     const result = {
       id: productId,
+      root: product.root,
       name: product.name,
       brand: product.brand,
       brandId: product.brandId,
@@ -270,6 +890,7 @@ class WBClient {
       feedbackPoints: product.feedbackPoints,
       colors: product.colors,
       pics: product.pics,
+      images: [],
 
       // Prices (convert from kopeks)
       priceBasic: product.sizes?.[0]?.price?.basic ? product.sizes[0].price.basic / 100 : null,
@@ -302,6 +923,9 @@ class WBClient {
       url: `https://www.wildberries.ru/catalog/${productId}/detail.aspx`
     };
 
+    // After card.json the basket host of the product is known
+    result.images = this.imageUrls(productId, product.pics);
+
     // Calculate discount
     if (result.priceBasic && result.priceFinal) {
       result.discount = Math.round((1 - result.priceFinal / result.priceBasic) * 100);
@@ -310,17 +934,94 @@ class WBClient {
     return result;
   }
 
+  /**
+   * Get product questions and seller answers
+   * Without filters only the requested page is fetched; with a search text or answeredOnly
+   * up to 1000 latest questions are scanned
+   * @param {string|number} productId - Product ID (nm_id)
+   * @param {Object} options - Question options
+   * @param {string} options.search - Words that must all appear in the question or answer
+   * @param {boolean} options.answeredOnly - Only questions with a seller answer
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Questions per page
+   * @param {Object} state - Session state (destination, currency)
+   */
+  async getProductQuestions(productId, options = {}, state = this.defaultState) {
+    const {
+      search = null,
+      answeredOnly = false,
+      page = 1,
+      limit = 20
+    } = options;
+
+    const chunkSize = 30;
+    const scanLimit = 1000;
+    const root = await this.getProductRoot(productId, state);
+
+    console.log(`[WB Client] Getting questions for product ${productId} (root ${root})`);
+
+    const words = search ? search.toLowerCase().split(/\s+/).filter(Boolean) : [];
+    const filtering = words.length > 0 || answeredOnly;
+    const matches = (q) => {
+      if (answeredOnly && !q.answer?.text) return false;
+      const haystack = `${q.text || ''} ${q.answer?.text || ''}`.toLowerCase();
+      return words.every(word => haystack.includes(word));
+    };
+
+    const start = filtering ? 0 : (page - 1) * limit;
+    const needed = filtering ? page * limit : limit;
+    const collected = [];
+    let total = null;
+    let skip = start;
+
+    while (collected.length < needed && skip < start + scanLimit) {
+      const data = await this.apiRequest(
+        `https://questions.wildberries.ru/api/v1/questions?imtId=${root}&skip=${skip}&take=${chunkSize}`,
+        { cache: 'volatile' }
+      );
+      const questions = data?.questions || [];
+      total = data?.count ?? total;
+
+      collected.push(...(filtering ? questions.filter(matches) : questions));
+      if (questions.length < chunkSize) break;
+      skip += chunkSize;
+    }
+
+    const pageItems = filtering ? collected.slice((page - 1) * limit, page * limit) : collected.slice(0, limit);
+
+    return {
+      productId,
+      root,
+      total,
+      search,
+      matched: filtering ? collected.length : null,
+      page,
+      questions: pageItems.map(q => ({
+        id: q.id,
+        date: q.createdDate,
+        question: q.text,
+        answer: q.answer?.text || null,
+        answerDate: q.answer?.createDate || null,
+        nmId: q.productDetails?.nmId ?? null,
+        size: q.productDetails?.size || null,
+        color: q.productDetails?.color || null
+      }))
+    };
+  }
+
   /**
    * Get multiple products by IDs
    * @param {Array<string|number>} productIds - Array of product IDs
+   * @param {Object} state - Session state (destination, currency)
    */
-  async getProductsList(productIds) {
+  async getProductsList(productIds, state = this.defaultState) {
     await this.init();
 
     const idsString = productIds.join(';');
-    const url = `https://www.wildberries.ru/__internal/u-card/cards/v4/list?appType=1&curr=rub&dest=${this.dest}&spp=30&lang=ru&nm=${idsString}`;
+    const url = `https://www.wildberries.ru/__internal/u-card/cards/v4/list?${this.cardParams(state)}&nm=${idsString}`;
 
-    const data = await this.apiRequest(url);
+    const data = await this.apiRequest(url, { cache: 'volatile', state });
+    this.recordPrices(data.products, state);
 
     return data.products?.map(p => ({
       id: p.id,
@@ -339,78 +1040,793 @@ class WBClient {
   }
 
   /**
-   * Set delivery destination
+   * Get product IDs WB recommends for a product
+   * @param {string} kind - 'similar' (visually similar) or 'together' (frequently bought together)
+   * @param {string|number} productId - Product ID (nm_id)
+   * @param {Object} state - Session state (destination, currency)
+   * @returns {Promise<Array<number>>}
+   */
+  async getRecommendationIds(kind, productId, state = this.defaultState) {
+    const query = kind === 'together' ? `alsobuy${productId}` : `similar${productId}`;
+    const url = `https://recom.wb.ru/recom/ru/common/v5/search?ab_testing=false&${this.cardParams(state)}&query=${query}&resultset=catalog`;
+
+    const data = await this.apiRequest(url, { cache: 'volatile', state }).catch(ifNotFound(null));
+    let ids = (data?.products ?? data?.data?.products ?? []).map(p => p.id);
+
+    // The visual similarity service answers with a bare list of IDs
+    if (ids.length === 0 && kind === 'similar') {
+      const visual = await this.apiRequest(`https://similar-products.wildberries.ru/api/visual/similar?nm=${productId}`, { cache: 'volatile' })
+        .catch(ifNotFound([]));
+      ids = Array.isArray(visual) ? visual : [];
+    }
+
+    return [...new Set(ids.map(Number))].filter(id => id && id !== Number(productId));
+  }
+
+  /**
+   * Get similar and frequently bought together products
+   * Products have the same fields as getProductsList() plus the price difference to the original
+   * @param {string|number} productId - Product ID (nm_id)
+   * @param {Object} options - Recommendation options
+   * @param {string} options.type - similar, together or all
+   * @param {number} options.limit - Max products per list
+   * @param {boolean} options.rankByPrice - Order by absolute price difference to the original
+   * @param {Object} state - Session state (destination, currency)
+   */
+  async getSimilarProducts(productId, options = {}, state = this.defaultState) {
+    const { type = 'all', limit = 20, rankByPrice = false } = options;
+
+    await this.init();
+
+    console.log(`[WB Client] Getting recommendations for ${productId}`);
+
+    const kinds = type === 'all' ? ['similar', 'together'] : [type];
+    const idLists = await Promise.all(kinds.map(kind => this.getRecommendationIds(kind, productId, state)));
+    const lists = Object.fromEntries(kinds.map((kind, i) => [kind, idLists[i].slice(0, limit)]));
+
+    // One batch request for the original and every recommendation
+    const ids = [...new Set([Number(productId), ...Object.values(lists).flat()])];
+    const products = [];
+    for (let i = 0; i < ids.length; i += 100) {
+      products.push(...await this.getProductsList(ids.slice(i, i + 100), state));
+    }
+    const byId = new Map(products.map(p => [Number(p.id), p]));
+
+    const original = byId.get(Number(productId)) || null;
+    const basePrice = original?.priceFinal ?? null;
+
+    const build = (list) => {
+      const items = list.map(id => byId.get(id)).filter(Boolean).map(p => ({
+        ...p,
+        priceDifference: basePrice !== null && p.priceFinal !== null
+          ? Math.round((p.priceFinal - basePrice) * 100) / 100
+          : null
+      }));
+      if (rankByPrice) {
+        items.sort((a, b) => Math.abs(a.priceDifference ?? Number.MAX_VALUE) - Math.abs(b.priceDifference ?? Number.MAX_VALUE));
+      }
+      return items;
+    };
+
+    return {
+      product: original,
+      ...(lists.similar ? { similar: build(lists.similar) } : {}),
+      ...(lists.together ? { boughtTogether: build(lists.together) } : {})
+    };
+  }
+
+  /**
+   * Get the root (imtId) shared by all color variants of a product
+   * Reviews and questions are attached to the root, not to the nm_id
+   * @param {string|number} productId - Product ID (nm_id)
+   * @param {Object} state - Session state (destination, currency)
+   */
+  async getProductRoot(productId, state = this.defaultState) {
+    const detailUrl = `https://www.wildberries.ru/__internal/u-card/cards/v4/detail?${this.cardParams(state)}&nm=${productId}`;
+    try {
+      const detailData = await this.apiRequest(detailUrl, { cache: 'volatile', state });
+      const root = detailData?.products?.[0]?.root;
+      if (root) return root;
+    } catch (e) {
+      // Fall back to card.json
+    }
+
+    const cardData = await this.basket.fetch(productId, 'info/ru/card.json', url => this.apiRequest(url, { cache: 'static', probe: true }));
+    if (!cardData?.imt_id) {
+      throw new Error(`Product ${productId} not found`);
+    }
+    return cardData.imt_id;
+  }
+
+  /**
+   * Get product reviews
+   * WB returns all feedbacks of a root at once; sorting, filtering and paging happen here
+   * @param {string|number} productId - Product ID (nm_id)
+   * @param {Object} options - Review options
+   * @param {string} options.sort - newest, useful, lowest, highest
+   * @param {Array<number>} options.stars - Only reviews with these ratings
+   * @param {boolean} options.withPhoto - Only reviews with photos
+   * @param {boolean} options.thisVariantOnly - Only reviews of this nm_id, not other colors
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Reviews per page
+   * @param {Object} state - Session state (destination, currency)
+   */
+  async getProductReviews(productId, options = {}, state = this.defaultState) {
+    const {
+      sort = 'newest',
+      stars = null,
+      withPhoto = false,
+      thisVariantOnly = false,
+      page = 1,
+      limit = 20
+    } = options;
+
+    const root = await this.getProductRoot(productId, state);
+
+    console.log(`[WB Client] Getting reviews for product ${productId} (root ${root})`);
+
+    // Feedbacks are sharded between two hosts, only one of them has the data
+    let data = null;
+    for (const host of ['feedbacks1', 'feedbacks2']) {
+      try {
+        const response = await this.apiRequest(`https://${host}.wb.ru/feedbacks/v2/${root}`, { cache: 'volatile' });
+        if (response?.feedbacks?.length) {
+          data = response;
+          break;
+        }
+        data = data || response;
+      } catch (e) {
+        // The other host may have the data; outages and an open circuit are real failures
+        if (e.status !== 404) throw e;
+      }
+    }
+
+    const all = data?.feedbacks || [];
+
+    // Rating distribution over all reviews
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    if (data?.valuationDistribution) {
+      Object.assign(distribution, data.valuationDistribution);
+    } else {
+      for (const f of all) distribution[f.productValuation] = (distribution[f.productValuation] || 0) + 1;
+    }
+
+    // Per-size and per-color breakdown
+    const breakdown = (field) => {
+      const groups = new Map();
+      for (const f of all) {
+        const key = f[field] || '—';
+        const group = groups.get(key) || { count: 0, sum: 0 };
+        group.count++;
+        group.sum += f.productValuation || 0;
+        groups.set(key, group);
+      }
+      return [...groups].map(([value, g]) => ({
+        [field]: value,
+        count: g.count,
+        averageRating: Math.round((g.sum / g.count) * 10) / 10
+      })).sort((a, b) => b.count - a.count);
+    };
+
+    let reviews = all.filter(f =>
+      (!stars || stars.includes(f.productValuation)) &&
+      (!withPhoto || (f.photo?.length || f.photos?.length)) &&
+      (!thisVariantOnly || String(f.nmId) === String(productId))
+    );
+
+    const sorters = {
+      newest: (a, b) => new Date(b.createdDate) - new Date(a.createdDate),
+      useful: (a, b) => ((b.votes?.pluses || 0) - (b.votes?.minuses || 0)) - ((a.votes?.pluses || 0) - (a.votes?.minuses || 0)),
+      lowest: (a, b) => a.productValuation - b.productValuation || new Date(b.createdDate) - new Date(a.createdDate),
+      highest: (a, b) => b.productValuation - a.productValuation || new Date(b.createdDate) - new Date(a.createdDate)
+    };
+    reviews = reviews.sort(sorters[sort] || sorters.newest);
+
+    const start = (page - 1) * limit;
+
+    return {
+      productId,
+      root,
+      total: data?.feedbackCount ?? all.length,
+      rating: data?.valuation ? parseFloat(data.valuation) : null,
+      distribution,
+      bySize: breakdown('size'),
+      byColor: breakdown('color'),
+      matched: reviews.length,
+      page,
+      pages: Math.ceil(reviews.length / limit),
+      reviews: reviews.slice(start, start + limit).map(f => ({
+        id: f.id,
+        date: f.createdDate,
+        rating: f.productValuation,
+        text: f.text || null,
+        pros: f.pros || null,
+        cons: f.cons || null,
+        author: f.wbUserDetails?.name || null,
+        nmId: f.nmId,
+        size: f.size || null,
+        color: f.color || null,
+        photos: f.photo?.length || f.photos?.length || 0,
+        likes: f.votes?.pluses || 0,
+        dislikes: f.votes?.minuses || 0,
+        sellerAnswer: f.answer?.text || null
+      }))
+    };
+  }
+
+  /**
+   * Get seller profile
+   * Legal details come from the static supplier file, rating and sales from the shipment API
+   * @param {string|number} sellerId - Seller (supplier) ID
+   */
+  async getSellerInfo(sellerId) {
+    await this.init();
+
+    console.log(`[WB Client] Getting seller ${sellerId}`);
+
+    const [legal, stats] = await Promise.all([
+      this.apiRequest(`https://static-basket-01.wbbasket.ru/vol0/data/supplier-by-id/${sellerId}.json`, { cache: 'static' })
+        .catch(ifNotFound(null)),
+      this.apiRequest(`https://suppliers-shipment-2.wildberries.ru/api/v1/suppliers/${sellerId}`, { cache: 'volatile' })
+        .catch(ifNotFound(null))
+    ]);
+
+    if (!legal && !stats) {
+      throw new Error(`Seller ${sellerId} not found`);
+    }
+
+    const registrationDate = stats?.registrationDate || null;
+
+    return {
+      id: Number(sellerId),
+      name: legal?.supplierName || legal?.trademark || null,
+      legalName: legal?.supplierFullName || null,
+      trademark: legal?.trademark || null,
+      inn: legal?.inn || null,
+      ogrn: legal?.ogrn || legal?.ogrnip || null,
+      legalAddress: legal?.legalAddress || null,
+      registrationDate,
+      yearsOnMarketplace: registrationDate
+        ? Math.floor((Date.now() - new Date(registrationDate)) / (365.25 * 24 * 60 * 60 * 1000))
+        : null,
+      rating: stats?.valuationToHundredths ?? stats?.valuation ?? null,
+      feedbacks: stats?.feedbacksCount ?? null,
+      saleCount: stats?.saleItemQuantity ?? null,
+      defectPercent: stats?.defectPercent ?? null,
+      deliverySpeed: stats?.deliveryDuration ?? null,
+      isPremium: stats?.isPremium ?? null,
+      returnPolicy: stats?.refundConditions || stats?.returnPolicy || null,
+      isUnknown: legal?.isUnknown ?? false,
+      url: `https://www.wildberries.ru/seller/${sellerId}`
+    };
+  }
+
+  /**
+   * Get products of a seller
+   * @param {string|number} sellerId - Seller (supplier) ID
+   * @param {Object} options - Catalog options (sort, page, priceMin, priceMax, limit)
+   * @param {Object} state - Session state (destination, currency)
+   */
+  async getSellerProducts(sellerId, options = {}, state = this.defaultState) {
+    await this.init();
+
+    console.log(`[WB Client] Getting products of seller ${sellerId}`);
+
+    const url = `https://catalog.wb.ru/sellers/v4/catalog?${this.cardParams(state)}&supplier=${sellerId}`;
+    return this.fetchCatalog(url, options, state);
+  }
+
+  /**
+   * Get raw filter facets of the JSON search API for a query
+   * @param {string} query - Search query
+   * @param {Object} state - Session state (destination, currency)
+   * @returns {Promise<Array<{name: string, key: string, items: Array}>>}
+   */
+  async fetchSearchFilters(query, state = this.defaultState) {
+    const url = `https://www.wildberries.ru/__internal/u-search/exactmatch/ru/common/v18/search?ab_testing=false&${this.cardParams(state)}&hide_dtype=13&query=${encodeURIComponent(query)}&resultset=filters&suppressSpellcheck=false`;
+    const data = await this.apiRequest(url, { cache: 'volatile', state });
+
+    // Older API versions wrap the result in `data`
+    const filters = data?.filters ?? data?.data?.filters;
+    if (!Array.isArray(filters)) {
+      throw new Error('Unexpected filters response');
+    }
+    return filters;
+  }
+
+  /**
+   * Resolve a brand by ID or name
+   * Names are matched against the brand facet of a search for that name
+   * @param {Object} brand - { id, name }
+   * @param {Object} state - Session state (destination, currency)
+   */
+  async resolveBrand({ id = null, name = null }, state = this.defaultState) {
+    if (!id) {
+      const filters = await this.fetchSearchFilters(name, state);
+      const brands = filters.find(f => f.key === 'fbrand')?.items || [];
+      const wanted = name.trim().toLowerCase();
+      const match = brands.find(b => b.name?.toLowerCase() === wanted) ||
+        brands.filter(b => b.name?.toLowerCase().includes(wanted)).sort((a, b) => (b.count || 0) - (a.count || 0))[0];
+
+      if (!match) {
+        throw new Error(`Brand "${name}" not found`);
+      }
+      id = match.id;
+      name = match.name;
+    }
+
+    const info = await this.apiRequest(`https://static-basket-01.wbbasket.ru/vol0/data/brands/${id}.json`, { cache: 'static' })
+      .catch(ifNotFound(null));
+
+    return {
+      id: Number(id),
+      name: info?.name || name,
+      url: info?.url ? `https://www.wildberries.ru/brands/${info.url}` : null,
+      logo: info?.logoUrl || null
+    };
+  }
+
+  /**
+   * Get products of a brand
+   * @param {Object} brand - { id, name }, one of them is required
+   * @param {Object} options - Catalog options (sort, page, priceMin, priceMax, limit)
+   * @param {Array<number>} options.categories - Subject (category) IDs to filter by
+   * @param {Object} state - Session state (destination, currency)
+   */
+  async getBrandProducts(brand, options = {}, state = this.defaultState) {
+    await this.init();
+
+    const info = await this.resolveBrand(brand, state);
+
+    console.log(`[WB Client] Getting products of brand ${info.name} (${info.id})`);
+
+    const url = `https://catalog.wb.ru/brands/v2/catalog?${this.cardParams(state)}&brand=${info.id}`;
+
+    // Categories and a category facet filter share the xsubject param, send them as one
+    const { category = [], xsubject = [], ...filters } = options.filters || {};
+    const categories = [...new Set([...(options.categories || []), ...[].concat(category), ...[].concat(xsubject)])];
+    if (categories.length) filters.category = categories;
+
+    const { products, total } = await this.fetchCatalog(url, { ...options, filters }, state);
+    return { brand: { ...info, totalProducts: total }, products, total };
+  }
+
+  /**
+   * Get the category menu with lookup tables by ID
+   * The menu itself is cached as static data; the index is rebuilt when the cached menu changes
+   */
+  async getCategoryIndex() {
+    const menu = await this.apiRequest('https://static-basket-01.wbbasket.ru/vol0/data/main-menu-ru-ru-v3.json', { cache: 'static' });
+    if (this.categoryIndex?.menu === menu) return this.categoryIndex;
+
+    const byId = new Map();
+    const walk = (nodes, parents) => {
+      for (const node of nodes || []) {
+        const path = [...parents, node.name];
+        byId.set(node.id, { node, path });
+        walk(node.childs, path);
+      }
+    };
+    walk(menu, []);
+
+    this.categoryIndex = { menu, byId };
+    return this.categoryIndex;
+  }
+
+  /**
+   * Find a category by ID or by path of names ("Электроника > Ноутбуки")
+   * @param {Object} category - { id, path }
+   * @returns {Promise<{node: Object, path: Array<string>}>}
+   */
+  async findCategory({ id = null, path = null }) {
+    const index = await this.getCategoryIndex();
+
+    if (id) {
+      const entry = index.byId.get(Number(id));
+      if (!entry) throw new Error(`Category ${id} not found`);
+      return entry;
+    }
+
+    let nodes = index.menu;
+    let entry = null;
+    for (const part of path.split(/\s*[>/]\s*/).filter(Boolean)) {
+      const wanted = part.toLowerCase();
+      const node = nodes?.find(n => n.name?.toLowerCase() === wanted) ||
+        nodes?.find(n => n.name?.toLowerCase().includes(wanted));
+      if (!node) {
+        throw new Error(`Category "${part}" not found${entry ? ` in "${entry.path.join(' > ')}"` : ''}`);
+      }
+      entry = index.byId.get(node.id);
+      nodes = node.childs;
+    }
+
+    if (!entry) throw new Error('Empty category path');
+    return entry;
+  }
+
+  /**
+   * Browse the category tree
+   * @param {Object} options - Browse options
+   * @param {number} options.id - Category ID (top level when neither id nor path is given)
+   * @param {string} options.path - Category path, e.g. "Электроника > Ноутбуки"
+   * @param {number} options.depth - How many levels of children to include
+   */
+  async getCategories({ id = null, path = null, depth = 1 } = {}) {
+    await this.init();
+
+    const describe = (node, level) => ({
+      id: node.id,
+      name: node.name,
+      url: node.url ? `https://www.wildberries.ru${node.url}` : null,
+      hasProducts: Boolean(node.shard && node.query),
+      childCount: node.childs?.length || 0,
+      ...(level < depth && node.childs?.length
+        ? { children: node.childs.map(child => describe(child, level + 1)) }
+        : {})
+    });
+
+    if (!id && !path) {
+      const { menu } = await this.getCategoryIndex();
+      return { path: [], categories: menu.map(node => describe(node, 1)) };
+    }
+
+    const entry = await this.findCategory({ id, path });
+    return {
+      path: entry.path,
+      category: describe(entry.node, 0)
+    };
+  }
+
+  /**
+   * Get products in a category
+   * @param {Object} category - { id, path }
+   * @param {Object} options - Catalog options (sort, page, priceMin, priceMax, limit)
+   * @param {Object} state - Session state (destination, currency)
+   */
+  async getCategoryProducts(category, options = {}, state = this.defaultState) {
+    await this.init();
+
+    const { node, path } = await this.findCategory(category);
+    if (!node.shard || !node.query) {
+      const children = (node.childs || []).map(c => `${c.name} (${c.id})`).join(', ');
+      throw new Error(`Category "${path.join(' > ')}" has no own catalog, choose a subcategory: ${children}`);
+    }
+
+    console.log(`[WB Client] Getting products of category ${path.join(' > ')}`);
+
+    const url = `https://catalog.wb.ru/catalog/${node.shard}/v2/catalog?${this.cardParams(state)}&${node.query}`;
+    const { products, total } = await this.fetchCatalog(url, options, state);
+
+    return {
+      category: { id: node.id, name: node.name, path },
+      products,
+      total
+    };
+  }
+
+  /**
+   * Resolve an address to WB destination IDs without changing any session
    * @param {string} address - Address or city name
+   * @param {Object} state - Session state (currency)
+   * @param {Object} coordinates - { latitude, longitude } of the exact place, take precedence over the address text
+   * @returns {Promise<{address: string, dest: string, destinations: Array<number>, latitude: number|null, longitude: number|null}|null>}
    */
-  async setDestination(address) {
+  async resolveDestination(address, state = this.defaultState, coordinates = null) {
     await this.init();
 
-    // Get geo info for address
-    const geoUrl = `https://www.wildberries.ru/__internal/user-geo-data/get-geo-info?currency=RUB&locale=ru&address=${encodeURIComponent(address)}&dt=0&currentLocale=ru&b2bMode=false&newClient=true`;
+    let geoUrl = `https://www.wildberries.ru/__internal/user-geo-data/get-geo-info?currency=${state.currency.toUpperCase()}&locale=ru&address=${encodeURIComponent(address)}&dt=0&currentLocale=ru&b2bMode=false&newClient=true`;
+    if (coordinates) {
+      geoUrl += `&latitude=${coordinates.latitude}&longitude=${coordinates.longitude}`;
+    }
 
     try {
-      const geoData = await this.apiRequest(geoUrl);
+      const geoData = await this.apiRequest(geoUrl, { cache: 'static' });
       if (geoData.destinations && geoData.destinations.length > 0) {
-        this.dest = geoData.destinations[geoData.destinations.length - 1].toString();
-        console.log(`[WB Client] Destination set to ${geoData.address} (dest=${this.dest})`);
         return {
-          success: true,
           address: geoData.address,
-          dest: this.dest,
-          destinations: geoData.destinations
+          dest: geoData.destinations[geoData.destinations.length - 1].toString(),
+          destinations: geoData.destinations,
+          latitude: geoData.latitude ?? geoData.lat ?? null,
+          longitude: geoData.longitude ?? geoData.lon ?? null
         };
       }
     } catch (e) {
-      console.error('[WB Client] Failed to set destination:', e.message);
+      console.error(`[WB Client] Failed to resolve destination "${address}":`, e.message);
+    }
+
+    return null;
+  }
+
+  /**
+   * Set delivery destination
+   * @param {string} address - Address or city name
+   * @param {Object} state - Session state to update
+   * @param {Object} coordinates - { latitude, longitude } of the exact place (see resolveDestination())
+   */
+  async setDestination(address, state = this.defaultState, coordinates = null) {
+    const resolved = await this.resolveDestination(address, state, coordinates);
+    if (!resolved) {
+      return { success: false, error: 'Could not find destination' };
     }
 
-    return { success: false, error: 'Could not find destination' };
+    state.dest = resolved.dest;
+    state.address = resolved.address;
+    console.log(`[WB Client] Destination set to ${resolved.address} (dest=${state.dest})`);
+
+    return { success: true, ...resolved };
+  }
+
+  /**
+   * Get all pickup points as a flat list
+   * The file is cached as static data; the list is rebuilt when the cached file changes
+   */
+  async getPickupIndex() {
+    const data = await this.apiRequest('https://static-basket-01.wbbasket.ru/vol0/data/all-poo-fr-v9.json', { cache: 'static' });
+    if (this.pickupIndex?.data === data) return this.pickupIndex;
+
+    // Points are grouped by country
+    const groups = Array.isArray(data) ? data : [data];
+    const points = groups.flatMap(group => group?.items || []).map(p => ({
+      id: String(p.id),
+      address: p.address,
+      latitude: p.coordinates?.[0] ?? null,
+      longitude: p.coordinates?.[1] ?? null,
+      workTime: p.workTime || null,
+      fittingRoom: Boolean(p.fittingRooms),
+      type: p.pickupType === 2 || p.isExternalPostamat ? 'postamat' : 'pickup'
+    })).filter(p => p.address);
+
+    console.log(`[WB Client] Loaded ${points.length} pickup points`);
+    this.pickupIndex = { data, points, byId: new Map(points.map(p => [p.id, p])) };
+    return this.pickupIndex;
+  }
+
+  /**
+   * Find pickup points near an address or coordinates
+   * Without coordinates from the geo service, points are matched by address text instead
+   * @param {Object} options - Search options
+   * @param {string} options.address - Address or city name
+   * @param {number} options.latitude - Latitude (used instead of the address)
+   * @param {number} options.longitude - Longitude (used instead of the address)
+   * @param {number} options.radius - Search radius in kilometers
+   * @param {number} options.limit - Max points to return
+   * @param {boolean} options.fittingRoom - Only points with a fitting room
+   * @param {Object} state - Session state (currency)
+   */
+  async findPickupPoints(options = {}, state = this.defaultState) {
+    const { address = null, radius = 5, limit = 10, fittingRoom = false } = options;
+    let { latitude = null, longitude = null } = options;
+
+    await this.init();
+
+    let resolvedAddress = null;
+    if ((latitude === null || longitude === null) && address) {
+      const resolved = await this.resolveDestination(address, state);
+      if (!resolved) throw new Error(`Could not find address "${address}"`);
+      resolvedAddress = resolved.address;
+      latitude = resolved.latitude;
+      longitude = resolved.longitude;
+    }
+
+    const { points } = await this.getPickupIndex();
+    const candidates = points.filter(p => !fittingRoom || p.fittingRoom);
+
+    let found;
+    if (latitude !== null && longitude !== null) {
+      found = candidates
+        .filter(p => p.latitude !== null && p.longitude !== null)
+        .map(p => ({ ...p, distanceKm: Math.round(distanceKm(latitude, longitude, p.latitude, p.longitude) * 100) / 100 }))
+        .filter(p => p.distanceKm <= radius)
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+    } else {
+      const words = (resolvedAddress || address || '').toLowerCase().split(/[\s,]+/).filter(w => w.length > 2);
+      found = candidates
+        .filter(p => words.length > 0 && words.every(w => p.address.toLowerCase().includes(w)))
+        .map(p => ({ ...p, distanceKm: null }));
+    }
+
+    return {
+      address: resolvedAddress || address,
+      latitude,
+      longitude,
+      total: found.length,
+      points: found.slice(0, limit)
+    };
+  }
+
+  /**
+   * Make a pickup point the delivery destination of a session
+   * @param {string|number} pointId - Pickup point ID
+   * @param {Object} state - Session state to update
+   */
+  async selectPickupPoint(pointId, state = this.defaultState) {
+    await this.init();
+
+    const point = (await this.getPickupIndex()).byId.get(String(pointId));
+    if (!point) throw new Error(`Pickup point ${pointId} not found`);
+
+    // The point's coordinates pin the destination to the point itself; the address text
+    // alone may geocode elsewhere (another building, the city centre)
+    const exact = point.latitude !== null && point.longitude !== null;
+    const result = await this.setDestination(point.address, state, exact
+      ? { latitude: point.latitude, longitude: point.longitude }
+      : null);
+    if (!result.success) return result;
+
+    state.address = point.address;
+    return {
+      ...result,
+      address: point.address,
+      pickupPoint: point,
+      approximate: !exact,
+      ...(exact ? {} : { note: 'The pickup point has no coordinates, the destination was resolved from its address and may differ from the point' })
+    };
+  }
+
+  /**
+   * Warehouse names by ID from the static stores file
+   * @returns {Promise<Map<number, string>>} Empty when the file is unavailable
+   */
+  async getWarehouseNames() {
+    try {
+      const data = await this.apiRequest('https://static-basket-01.wbbasket.ru/vol0/data/stores-data.json', { cache: 'static' });
+      return new Map((Array.isArray(data) ? data : []).map(w => [Number(w.id), w.name]));
+    } catch (e) {
+      console.error(`[WB Client] Failed to load warehouse names: ${e.message}`);
+      return new Map();
+    }
+  }
+
+  /**
+   * Compare price, stock and delivery of a product across destinations
+   * Every address is resolved and queried with its own state, the session is not changed
+   * @param {string|number} productId - Product ID (nm_id)
+   * @param {Array<string>} addresses - Cities or addresses
+   * @param {Object} state - Session state (currency)
+   */
+  async compareDelivery(productId, addresses, state = this.defaultState) {
+    await this.init();
+
+    console.log(`[WB Client] Comparing delivery of ${productId} to ${addresses.length} destinations`);
+
+    const [warehouses, destinations] = await Promise.all([
+      this.getWarehouseNames(),
+      Promise.all(addresses.map(address => this.resolveDestination(address, state)))
+    ]);
+
+    let product = null;
+    const cities = await Promise.all(addresses.map(async (address, i) => {
+      const resolved = destinations[i];
+      if (!resolved) {
+        return { query: address, error: 'Could not find destination' };
+      }
+
+      try {
+        const details = await this.getProductDetails(productId, { ...state, dest: resolved.dest, address: resolved.address });
+        product = product || { id: details.id, name: details.name, brand: details.brand, url: details.url };
+
+        const sizes = (details.sizes || []).map(size => ({
+          name: size.name,
+          price: size.price,
+          inStock: (size.stocks || []).reduce((sum, st) => sum + (st.qty || 0), 0),
+          warehouses: (size.stocks || []).map(st => ({
+            id: st.warehouse,
+            name: warehouses.get(Number(st.warehouse)) || null,
+            qty: st.qty,
+            deliveryTime: st.deliveryTime
+          }))
+        }));
+
+        return {
+          query: address,
+          address: resolved.address,
+          dest: resolved.dest,
+          priceBasic: details.priceBasic,
+          priceFinal: details.priceFinal,
+          priceFormatted: formatPrice(details.priceFinal, state.currency),
+          inStock: details.inStock || 0,
+          deliveryTime: details.deliveryTime,
+          availableSizes: sizes.filter(size => size.inStock > 0).map(size => size.name),
+          sizes
+        };
+      } catch (e) {
+        return { query: address, address: resolved.address, dest: resolved.dest, error: e.message };
+      }
+    }));
+
+    return { product, cities };
   }
 
   /**
    * Get available filters for a search query
+   * Returns every facet with its values, IDs and product counts from the JSON search API,
+   * falls back to the filter names shown on the search page
    * @param {string} query - Search query
+   * @param {Object} state - Session state (destination, currency)
    */
-  async getFilters(query) {
+  async getFilters(query, state = this.defaultState) {
     await this.init();
 
-    // Load search page
-    await this.page.goto(`https://www.wildberries.ru/catalog/0/search.aspx?search=${encodeURIComponent(query)}`, {
-      waitUntil: 'domcontentloaded',
-      timeout: 60000
-    });
+    const sortOptions = [
+      { value: 'popular', name: 'По популярности' },
+      { value: 'rate', name: 'По рейтингу' },
+      { value: 'priceup', name: 'По возрастанию цены' },
+      { value: 'pricedown', name: 'По убыванию цены' },
+      { value: 'newly', name: 'По новинкам' }
+    ];
 
+    let rawFilters;
     try {
-      await this.page.waitForSelector('.product-card', { timeout: 30000 });
+      rawFilters = await this.fetchSearchFilters(query, state);
     } catch (e) {
-      return { filters: [] };
+      if (this.breaker.isOpen) throw e;
+      console.error(`[WB Client] JSON filters failed (${e.message}), falling back to search page`);
+      return { ...(await this.getFiltersDom(query)), sortOptions };
     }
 
-    await new Promise(r => setTimeout(r, 2000));
+    const filterNames = Object.fromEntries(Object.entries(FILTER_PARAMS).map(([name, param]) => [param, name]));
+    const facets = [];
+    let price = null;
 
-    // Extract filter names from page
-    const filters = await this.page.evaluate(() => {
-      const filterBtns = document.querySelectorAll('[class*="dropdown-filter"] button');
-      return Array.from(filterBtns).map(btn => btn.textContent?.trim()).filter(Boolean);
-    });
+    for (const f of rawFilters) {
+      if (f.key === 'priceU') {
+        price = {
+          min: f.minPriceU ? f.minPriceU / 100 : null,
+          max: f.maxPriceU ? f.maxPriceU / 100 : null
+        };
+        continue;
+      }
+
+      facets.push({
+        filter: filterNames[f.key] || f.key,
+        param: f.key,
+        name: f.name,
+        values: f.items?.map(item => ({
+          id: item.id,
+          name: item.name,
+          count: item.count ?? null
+        })) || []
+      });
+    }
 
     return {
       query,
-      availableFilters: [...new Set(filters)],
-      sortOptions: [
-        { value: 'popular', name: 'По популярности' },
-        { value: 'rate', name: 'По рейтингу' },
-        { value: 'priceup', name: 'По возрастанию цены' },
-        { value: 'pricedown', name: 'По убыванию цены' },
-        { value: 'newly', name: 'По новинкам' }
-      ],
-      urlParams: {
-        'priceU': 'Цена (в копейках, формат: min;max)',
-        'frating': 'С рейтингом от 4.7 (значение: 1)',
-        'xsubject': 'Категории (ID через точку с запятой)',
-        'sort': 'Сортировка',
-        'page': 'Номер страницы'
+      facets,
+      price,
+      sortOptions,
+      usage: 'Pass value ids to wb_search as filters: { "<filter>": [id, ...] }, e.g. { "brand": [6049], "color": [0] }; use { "rating": true } for rating 4.7+'
+    };
+  }
+
+  /**
+   * Get filter names from the HTML search page
+   * @param {string} query - Search query
+   */
+  async getFiltersDom(query) {
+    const filters = await this.pool.use(async (page) => {
+      // Load search page
+      await this.navigate(page, `https://www.wildberries.ru/catalog/0/search.aspx?search=${encodeURIComponent(query)}`);
+
+      try {
+        await page.waitForSelector('.product-card', { timeout: 30000 });
+      } catch (e) {
+        return null;
       }
+
+      await new Promise(r => setTimeout(r, 2000));
+
+      // Extract filter names from page
+      return page.evaluate(() => {
+        const filterBtns = document.querySelectorAll('[class*="dropdown-filter"] button');
+        return Array.from(filterBtns).map(btn => btn.textContent?.trim()).filter(Boolean);
+      });
+    });
+
+    if (!filters) return { filters: [] };
+
+    return {
+      query,
+      availableFilters: [...new Set(filters)]
     };
   }
 }